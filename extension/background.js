@@ -1,29 +1,92 @@
 // ModelMeter - background.js
 
 importScripts('storage_utils.js'); 
+importScripts('limits_registry.js');
 importScripts('timestamp_utils.js');
+importScripts('migrations.js');
+importScripts('usage_export.js');
+importScripts('backup_utils.js');
 
 console.log('ModelMeter Background: Utility scripts imported via importScripts');
 
 // Access utilities from the global scope (self)
 const { 
+  MODEL_DATA_KEY,
+  LIMIT_OVERRIDES_KEY,
+  LIMIT_PROFILE_KEY,
+  SCHEMA_VERSION_KEY,
+  USER_PLAN_KEY,
+  isAccountScopedKey,
+  resolveAccountId,
+  getActiveAccountIdFromStorage,
+  getAccountsFromStorage,
+  setActiveAccountInStorage,
   getModelDataFromStorage, 
-  saveModelDataToStorage, 
+  updateModelDataInStorage, 
+  runStorageMigrations,
+  getStorageSnapshot,
+  rewriteStorage,
   incrementModelCounterInStorage, 
   getModelCountFromStorage,
   resetAllCountersInStorage,
   getUserPlanFromStorage,
-  saveUserPlanToStorage
+  getUserPlanDetailsFromStorage,
+  saveUserPlanToStorage,
+  saveDetectedPlanToStorage,
+  getLimitOverridesFromStorage,
+  saveLimitOverridesToStorage,
+  getLimitProfileFromStorage,
+  saveLimitProfileToStorage,
+  QUOTA_THRESHOLDS_KEY,
+  getQuotaThresholdsFromStorage,
+  saveQuotaThresholdsToStorage,
+  NOTIFICATION_KINDS,
+  getNotificationSettingsFromStorage,
+  saveNotificationSettingsToStorage,
+  getPreSendGuardFromStorage,
+  savePreSendGuardToStorage,
+  getFallbackOrderFromStorage,
+  saveFallbackOrderToStorage,
+  BUDGET_PERIODS,
+  getBudgetSettingsFromStorage,
+  saveBudgetSettingsToStorage,
+  getBubbleDockFromStorage,
+  saveBubbleDockToStorage,
+  getUsageEventsFromStorage,
+  appendUsageEventsToStorage,
+  pruneUsageEventsInStorage,
+  getRateLimitHitsFromStorage,
+  appendRateLimitHitToStorage
 } = self.StorageUtils;
 
+const { 
+  getPlanNames, 
+  validateLimitEntry, 
+  getModelAliases, 
+  buildLimitProfile, 
+  validateLimitProfile 
+} = self.LimitsRegistry;
+
 const { 
   getModelLimits, 
   findLimitObjectForModel, 
   calculateNextTimestampAfterPeriod, 
+  calculatePreviousTimestampBeforePeriod,
+  calculateQuotaStatus,
+  getQuotaLevel,
+  getCalendarPeriodStart,
+  calculateBudgetStatus,
+  BUDGET_PERIOD_LABELS,
   updateFutureModelTimestamps, 
   parseWarningTimestamps 
 } = self.ModelMeterUtils;
 
+const { buildUsageWindows, buildUsageExport } = self.UsageExport;
+
+const { buildBackup, validateBackup, mergeStorageSnapshots, RESTORE_MODES } = self.BackupUtils;
+
+const { CURRENT_SCHEMA_VERSION, migrateSnapshot } = self.StorageMigrations;
+
 // --- Constants ---
 const API_ENDPOINT = 'https://chatgpt.com/backend-api/f/conversation';
 const DEBUG_API_LOGGING = true; // Set to false in production
@@ -32,29 +95,45 @@ const DEBUG_API_LOGGING = true; // Set to false in production
 chrome.runtime.onInstalled.addListener(() => {
   console.log('ModelMeter Background Debug: 🚀 Extension installed/updated.');
   
-  // Initialize modelData in storage if it doesn't exist
-  getModelDataFromStorage().then(data => {
-    if (Object.keys(data).length === 0) {
-      saveModelDataToStorage({}); // Ensures the key exists with an empty object
-      console.log('ModelMeter Background Debug: 📋 Initialized empty modelData in storage.');
-    } else {
-      console.log('ModelMeter Background Debug: 📊 Current model data:', data);
-      // Update future model timestamps on startup
-      if (typeof updateFutureModelTimestamps === 'function') {
-        updateFutureModelTimestamps()
-          .then(updatesCount => {
-            console.log(`ModelMeter Background Debug: Updated timestamps for ${updatesCount} models on startup`);
-          })
-          .catch(error => {
-            console.error('ModelMeter Background Debug: Error updating timestamps on startup:', error);
-          });
-      } else {
-        console.error('ModelMeter Background Debug: updateFutureModelTimestamps is not available on startup.');
-      }
-    }
-  });
+  // Upgrade the stored layout first, then initialize modelData in storage if it doesn't exist (the
+  // write ensures the key exists) and roll forward any 'Until' times that passed while not running
+  runStorageMigrations()
+    .catch(error => {
+      console.error('ModelMeter Background Debug: Storage migration failed:', error);
+    })
+    .then(() => initializeModelData())
+    .then(updatesCount => {
+      console.log(`ModelMeter Background Debug: Updated timestamps for ${updatesCount} models on startup`);
+    })
+    .catch(error => {
+      console.error('ModelMeter Background Debug: Error updating timestamps on startup:', error);
+    })
+    .finally(() => {
+      scheduleResetAlarmSync();
+      scheduleUsageEventPruning();
+    });
 });
 
+async function initializeModelData() {
+  const modelAliases = await getEffectiveModelAliases();
+  let updatesCount = 0;
+  for (const accountId of await getTrackedAccountIds()) {
+    const userPlan = await getUserPlanFromStorage(accountId);
+    const modelLimits = await getEffectiveModelLimits(userPlan);
+    updatesCount += await updateModelDataInStorage(modelData => {
+      console.log(`ModelMeter Background Debug: 📊 Current model data (${accountId}):`, modelData);
+      return updateFutureModelTimestamps(modelData, modelLimits, modelAliases);
+    }, accountId);
+  }
+  return updatesCount;
+}
+
+// Every account with stored usage plus the active one (which may not be identified yet)
+async function getTrackedAccountIds() {
+  const [accounts, activeAccountId] = await Promise.all([getAccountsFromStorage(), getActiveAccountIdFromStorage()]);
+  return [...new Set([...Object.keys(accounts), activeAccountId])];
+}
+
 // Test that storage operations are working correctly (can be re-enabled for diagnostics)
 /*
 async function testStorageOperations() {
@@ -68,9 +147,7 @@ async function testStorageOperations() {
     // await resetSingleModelCounterInStorage(testModel);
     // count = await getModelCountFromStorage(testModel);
     // console.log(`ModelMeter Background Debug: 🧪 After reset, count = ${count}`);
-    const modelData = await getModelDataFromStorage();
-    delete modelData[testModel];
-    await saveModelDataToStorage(modelData);
+    await updateModelDataInStorage(modelData => { delete modelData[testModel]; });
     console.log('ModelMeter Background Debug: 🧪 Storage test complete - Everything working! ✅');
   } catch (error) {
     console.error('ModelMeter Background Debug: 🧪 Storage test failed ❌', error);
@@ -108,10 +185,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // --- Handle Model Count Increment ---
   if (message.action === 'incrementModelCount' && message.modelFullName) {
-    console.log(`ModelMeter Background Debug: 🔢 Incrementing count for ${message.modelFullName}`);
-    incrementModelCounterInStorage(message.modelFullName)
+    console.log(`ModelMeter Background Debug: 🔢 Incrementing count for ${message.modelFullName}${message.autoRouted ? ' (Auto-routed)' : ''}`);
+    incrementModelCounterInStorage(message.modelFullName, {
+      conversationId: message.conversationId,
+      messageId: message.messageId,
+      source: message.source,
+      autoRouted: !!message.autoRouted,
+      accountId: message.accountId
+    })
       .then(newCount => {
+        if (newCount === null) {
+          // Already counted (e.g. by the stream relay and the rendered-reply fallback); nothing changed
+          sendResponse({ status: 'success', duplicate: true });
+          return;
+        }
         sendResponse({ status: 'success', newCount: newCount });
+        notifyIfThresholdCrossed(message.modelFullName, message.accountId).catch(error => {
+          console.error('ModelMeter Background: Error checking the notification threshold:', error);
+        });
+        notifyIfBudgetCrossed(message.modelFullName, message.accountId).catch(error => {
+          console.error('ModelMeter Background: Error checking the budget:', error);
+        });
       })
       .catch(error => {
         console.error(`ModelMeter Background Debug: 💥 Error incrementing count for ${message.modelFullName}:`, error);
@@ -120,55 +214,449 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates async response
   }
   
+  // --- Handle Usage Event Log ---
+  // Optional filters: since / until (timestamps in ms), model and accountId (default: the active account)
+  if (message.action === 'getUsageEvents') {
+    resolveAccountId(message.accountId)
+      .then(accountId => getUsageEventsFromStorage({ since: message.since, until: message.until, model: message.model, accountId: accountId }))
+      .then(events => {
+        sendResponse({ status: 'success', events: events });
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error getting usage events:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Rate Limit Hit Log ---
+  // Same filters as getUsageEvents
+  if (message.action === 'getRateLimitHits') {
+    resolveAccountId(message.accountId)
+      .then(accountId => getRateLimitHitsFromStorage({ since: message.since, until: message.until, model: message.model, accountId: accountId }))
+      .then(hits => {
+        sendResponse({ status: 'success', hits: hits });
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error getting rate limit hits:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+  
+  // --- Handle Usage History Export ---
+  // kind: 'csv-events', 'csv-windows' or 'json'; since / until (ms) and accountId are optional.
+  // Responds with the file ({ filename, mimeType, content }) for the caller to download.
+  if (message.action === 'exportUsageHistory') {
+    handleUsageExport(message)
+      .then(file => sendResponse({ status: 'success', ...file }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error exporting usage history:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Dashboard ---
+  // Opens the dashboard tab (or focuses the one already open); accountId preselects that account
+  if (message.action === 'openDashboard') {
+    openDashboard(message.accountId)
+      .then(() => sendResponse({ status: 'success' }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error opening dashboard:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Backup and Restore ---
+  if (message.action === 'exportBackup') {
+    getStorageSnapshot().then(snapshot => {
+      const schemaVersion = Number(snapshot[SCHEMA_VERSION_KEY]) || CURRENT_SCHEMA_VERSION;
+      sendResponse({ status: 'success', backup: buildBackup(snapshot, schemaVersion, chrome.runtime.getManifest().version) });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error creating backup:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  // mode: 'merge' (combine with the current data) or 'replace' (drop the current data)
+  if (message.action === 'restoreBackup' && message.backup) {
+    handleRestoreBackup(message.backup, message.mode)
+      .then(result => {
+        sendResponse({ status: 'success', ...result });
+        broadcastCountersRefresh();
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error restoring backup:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Accounts ---
+  // Known accounts (newest first) and the active one; popup and dashboard pass an accountId from this
+  // list to the other actions to browse an account that is not signed in
+  if (message.action === 'getAccounts') {
+    getAccountList().then(result => {
+      sendResponse({ status: 'success', ...result });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting accounts:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  // Sent by the content script with the account read from the ChatGPT session
+  if (message.action === 'setActiveAccount' && message.account) {
+    setActiveAccountInStorage(message.account).then(result => {
+      sendResponse({ status: 'success', ...result });
+      if (result.changed || result.adopted) {
+        broadcastCountersRefresh();
+      }
+    }).catch(error => {
+      console.error('ModelMeter Background: Error setting active account:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
   // --- Handle User Plan Settings ---
   if (message.action === 'getUserPlan') {
-    getUserPlanFromStorage().then(plan => {
-      sendResponse({ status: 'success', plan: plan });
+    Promise.all([getUserPlanDetailsFromStorage(message.accountId), getLimitProfileFromStorage()]).then(([details, profile]) => {
+      sendResponse({
+        status: 'success',
+        plan: details.plan,
+        source: details.source,
+        detectedPlan: details.detectedPlan,
+        plans: getPlanNames(profile)
+      });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting user plan:', error);
+      sendResponse({ status: 'error', message: error.message });
     });
     return true; // Indicates async response
   }
   
-  if (message.action === 'setUserPlan' && message.plan) {
-    saveUserPlanToStorage(message.plan).then(success => {
+  // source is 'manual' (default, picked by the user), 'detected' (read from the ChatGPT session) or
+  // 'revert-to-detected' (drop the manual choice and use the detected plan; message.plan is ignored)
+  if (message.action === 'setUserPlan' && (message.plan || message.source === 'revert-to-detected')) {
+    const source = ['detected', 'revert-to-detected'].includes(message.source) ? message.source : 'manual';
+    handleSetUserPlan(message.plan, source, message.accountId).then(result => {
+      sendResponse(result);
+      // If anything changed, notify UI to refresh as limits might change
+      if (result.changed) {
+        chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* ignore */ });
+      }
+    }).catch(error => {
+      console.error('ModelMeter Background: Error setting user plan:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Model Limits (registry + user overrides) ---
+  if (message.action === 'getModelLimits') {
+    (message.plan ? Promise.resolve(message.plan) : getUserPlanFromStorage(message.accountId))
+      .then(plan => Promise.all([getEffectiveModelLimits(plan), getEffectiveModelAliases()]).then(([limits, aliases]) => {
+        sendResponse({ status: 'success', plan: plan, limits: limits, aliases: aliases });
+      }))
+      .catch(error => {
+        console.error('ModelMeter Background Debug: 💥 Error getting model limits:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'getLimitOverrides') {
+    getLimitOverridesFromStorage().then(overrides => {
+      sendResponse({ status: 'success', overrides: overrides });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting limit overrides:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setLimitOverride' && message.plan && message.model) {
+    handleSetLimitOverride(message)
+      .then(() => {
+        sendResponse({ status: 'success', message: `Limit for ${message.model} (${message.plan}) updated.` });
+        chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* ignore */ });
+      })
+      .catch(error => {
+        console.error(`ModelMeter Background Debug: 💥 Error updating limit override for ${message.model}:`, error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'resetLimitOverrides') {
+    saveLimitOverridesToStorage({}).then(success => {
       sendResponse({ status: success ? 'success' : 'error' });
-      // If successful, notify UI to refresh as limits might change
       if (success) {
         chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* ignore */ });
       }
+    }).catch(error => {
+      console.error('ModelMeter Background: Error resetting limit overrides:', error);
+      sendResponse({ status: 'error', message: error.message });
     });
     return true; // Indicates async response
   }
 
+  // --- Handle Limit Profile Import/Export ---
+  if (message.action === 'exportLimitProfile') {
+    Promise.all([getLimitOverridesFromStorage(), getLimitProfileFromStorage()])
+      .then(([overrides, profile]) => {
+        sendResponse({ status: 'success', profile: buildLimitProfile(overrides, profile) });
+      })
+      .catch(error => {
+        console.error('ModelMeter Background Debug: 💥 Error exporting limit profile:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'importLimitProfile' && message.profile) {
+    handleImportLimitProfile(message.profile)
+      .then(() => {
+        sendResponse({ status: 'success', message: 'Limit profile imported.' });
+        chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* ignore */ });
+      })
+      .catch(error => {
+        console.error('ModelMeter Background Debug: 💥 Error importing limit profile:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'clearLimitProfile') {
+    Promise.all([saveLimitProfileToStorage(null), saveLimitOverridesToStorage({})])
+      .then(([profileCleared, overridesCleared]) => {
+        const success = profileCleared && overridesCleared;
+        sendResponse({ status: success ? 'success' : 'error' });
+        if (success) {
+          chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* ignore */ });
+        }
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error clearing limit profile:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
   // --- Handle Model Data Retrieval ---
   if (message.action === 'getModelData') {
-    getModelDataFromStorage().then(data => {
+    getModelDataFromStorage(message.accountId).then(data => {
       sendResponse({ status: 'success', data: data });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting model data:', error);
+      sendResponse({ status: 'error', message: error.message });
     });
     return true; // Indicates async response
   }
 
+  // For rolling-window models the count is the number of messages in the current window. quota is
+  // the model's full quota status (null when it has no known limit), thresholds the usage thresholds.
   if (message.action === 'getModelCount' && message.modelFullName) {
-    getModelCountFromStorage(message.modelFullName).then(count => {
-      sendResponse({ status: 'success', count: count });
+    Promise.all([getModelQuota(message.modelFullName, message.accountId), getQuotaThresholdsFromStorage()]).then(([modelQuota, thresholds]) => {
+      sendResponse({
+        status: 'success',
+        count: modelQuota ? modelQuota.used : 0,
+        quota: modelQuota && modelQuota.limit !== null ? modelQuota : null,
+        thresholds: thresholds
+      });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting model count:', error);
+      getModelCountFromStorage(message.modelFullName, message.accountId).then(count => {
+        sendResponse({ status: 'success', count: count });
+      });
+    });
+    return true; // Indicates async response
+  }
+
+  // Used/limit, reset time and (for rolling windows) next free slot for every tracked model
+  if (message.action === 'getQuotaStatus') {
+    getQuotaStatus(message.plan, message.accountId).then(({ plan, accountId, quota }) => {
+      sendResponse({ status: 'success', plan: plan, accountId: accountId, quota: quota });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting quota status:', error);
+      sendResponse({ status: 'error', message: error.message });
     });
     return true; // Indicates async response
   }
   
-  // --- Handle Direct Model Data Save (used by timestamp_utils) ---
-  if (message.action === 'saveModelDataDirectly' && message.modelData) {
-    saveModelDataToStorage(message.modelData).then(() => {
-      sendResponse({ status: 'success' });
+  // --- Handle Usage Thresholds ---
+  if (message.action === 'getQuotaThresholds') {
+    getQuotaThresholdsFromStorage().then(thresholds => {
+      sendResponse({ status: 'success', thresholds: thresholds });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting usage thresholds:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  // thresholds: { warning, critical }, whole percentages with warning below critical
+  if (message.action === 'setQuotaThresholds' && message.thresholds) {
+    handleSetQuotaThresholds(message.thresholds)
+      .then(thresholds => {
+        sendResponse({ status: 'success', thresholds: thresholds });
+        broadcastCountersRefresh();
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error saving quota thresholds:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Notification Settings ---
+  if (message.action === 'getNotificationSettings') {
+    getNotificationSettingsFromStorage().then(settings => {
+      sendResponse({ status: 'success', settings: settings, kinds: NOTIFICATION_KINDS });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting notification settings:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setNotificationSettings' && message.settings) {
+    handleSetNotificationSettings(message.settings)
+      .then(settings => sendResponse({ status: 'success', settings: settings }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error saving notification settings:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Pre-send Confirmation ---
+  if (message.action === 'getPreSendGuard') {
+    getPreSendGuardFromStorage().then(settings => {
+      sendResponse({ status: 'success', settings: settings });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting pre-send guard settings:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setPreSendGuard' && message.settings) {
+    handleSetPreSendGuard(message.settings)
+      .then(settings => sendResponse({ status: 'success', settings: settings }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error saving pre-send confirmation settings:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // Sent by the content script before a message goes out; answers whether to ask the user first
+  if (message.action === 'checkPreSend' && message.model) {
+    checkPreSend(message.model, message.accountId)
+      .then(result => sendResponse({ status: 'success', ...result }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error checking model before sending:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Personal Budgets ---
+  if (message.action === 'getBudgets') {
+    getBudgetSettingsFromStorage().then(settings => {
+      sendResponse({ status: 'success', settings: settings, periods: BUDGET_PERIODS });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting budgets:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setBudgets' && message.settings) {
+    handleSetBudgets(message.settings)
+      .then(settings => {
+        sendResponse({ status: 'success', settings: settings });
+        broadcastCountersRefresh();
+      })
+      .catch(error => {
+        console.error('ModelMeter Background: Error saving budgets:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // Used/remaining of every budget in its current period, for an account (default: the active one)
+  if (message.action === 'getBudgetStatus') {
+    getBudgetStatus(message.accountId).then(({ budgets, warningPercent }) => {
+      sendResponse({ status: 'success', budgets: budgets, warningPercent: warningPercent });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting budget status:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Fallback Models ---
+  if (message.action === 'getFallbackOrder') {
+    getFallbackOrderFromStorage().then(order => {
+      sendResponse({ status: 'success', order: order });
     }).catch(error => {
-      console.error('ModelMeter Background Debug: Error saving model data directly:', error);
+      console.error('ModelMeter Background: Error getting fallback order:', error);
       sendResponse({ status: 'error', message: error.message });
     });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setFallbackOrder' && Array.isArray(message.order)) {
+    handleSetFallbackOrder(message.order)
+      .then(order => sendResponse({ status: 'success', order: order }))
+      .catch(error => {
+        console.error('ModelMeter Background: Error saving fallback order:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true; // Indicates async response
+  }
+
+  // --- Handle Toolbar Badge ---
+  // Sent by the content script when the model picked in its tab changes
+  if (message.action === 'currentModelChanged') {
+    scheduleBadgeUpdate();
+    sendResponse({ status: 'success' });
     return true;
   }
 
+  // --- Handle Bubble Position ---
+  // windowSize: "<width>x<height>" as rounded by the content script
+  if (message.action === 'getBubbleDock' && message.windowSize) {
+    getBubbleDockFromStorage(message.windowSize).then(dock => {
+      sendResponse({ status: 'success', dock: dock });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error getting bubble dock:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
+  if (message.action === 'setBubbleDock' && message.windowSize && message.dock) {
+    saveBubbleDockToStorage(message.windowSize, message.dock).then(saved => {
+      sendResponse(saved ? { status: 'success' } : { status: 'error', message: `Could not save bubble dock "${message.dock}".` });
+    }).catch(error => {
+      console.error('ModelMeter Background: Error saving bubble dock:', error);
+      sendResponse({ status: 'error', message: error.message });
+    });
+    return true; // Indicates async response
+  }
+
   // --- Handle Rate Limit Hit (NEW LOGIC) ---
+  // A new cap answers with the model to fall back to (or null), for the tab to offer switching
   if (message.action === 'rateLimitHit') {
     handleRateLimitHit(message)
-      .then(() => sendResponse({ status: 'success', message: 'Rate limit data processed by background.' }))
+      .then(fallback => sendResponse({ status: 'success', message: 'Rate limit data processed by background.', fallback: fallback }))
       .catch(error => {
         console.error('ModelMeter Background Debug: 💥 Error processing rateLimitHit:', error);
         sendResponse({ status: 'error', message: `Error processing rateLimitHit: ${error.message}` });
@@ -189,7 +677,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // --- Handle Reset All Counters ---
   if (message.action === 'resetAllCounters') {
-    resetAllCountersInStorage()
+    resetAllCountersInStorage(message.accountId)
       .then(() => {
         sendResponse({ status: 'success', message: 'All counters reset.' });
         // Notify UI to refresh
@@ -218,9 +706,437 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
+// Returns the limits registry for a plan with the imported profile and the user's overrides applied
+async function getEffectiveModelLimits(plan) {
+  const [overrides, profile] = await Promise.all([getLimitOverridesFromStorage(), getLimitProfileFromStorage()]);
+  return getModelLimits(plan, overrides, profile);
+}
+
+// Returns the model aliases in effect (from the imported profile, or the built-in ones)
+async function getEffectiveModelAliases() {
+  return getModelAliases(await getLimitProfileFromStorage());
+}
+
+// Quota status of every tracked model of an account (default: the active one), keyed by model name,
+// for the given plan (defaults to the account's plan)
+async function getQuotaStatus(plan, accountId) {
+  const effectiveAccountId = await resolveAccountId(accountId);
+  const effectivePlan = plan || await getUserPlanFromStorage(effectiveAccountId);
+  const [modelData, modelLimits, modelAliases] = await Promise.all([
+    getModelDataFromStorage(effectiveAccountId),
+    getEffectiveModelLimits(effectivePlan),
+    getEffectiveModelAliases()
+  ]);
+
+  const now = Date.now();
+  const limitObjects = {};
+  for (const modelName of Object.keys(modelData)) {
+    limitObjects[modelName] = findLimitObjectForModel(modelName, modelName.toLowerCase(), modelLimits, modelAliases);
+  }
+  // Only rolling windows are counted from the event log, and only back to the start of the longest one
+  const rollingWindowStarts = Object.values(limitObjects)
+    .filter(limitObject => limitObject && limitObject.windowType === 'rolling' &&
+                           limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none')
+    .map(limitObject => calculatePreviousTimestampBeforePeriod(now, limitObject));
+  const events = rollingWindowStarts.length > 0
+    ? await getUsageEventsFromStorage({ since: Math.min(...rollingWindowStarts), accountId: effectiveAccountId })
+    : [];
+
+  const quota = {};
+  for (const [modelName, modelInfo] of Object.entries(modelData)) {
+    const limitObject = limitObjects[modelName];
+    const modelEvents = events.filter(event => event.model === modelName);
+    quota[modelName] = {
+      ...calculateQuotaStatus(modelInfo, limitObject, modelEvents, now),
+      displayText: limitObject ? limitObject.displayText : ''
+    };
+  }
+  return { plan: effectivePlan, accountId: effectiveAccountId, quota: quota };
+}
+
+// Quota status of one model; models without stored data yet get an empty window against their limit
+async function getModelQuota(modelName, accountId) {
+  const { plan, quota } = await getQuotaStatus(null, accountId);
+  if (quota[modelName]) return quota[modelName];
+  const [modelLimits, modelAliases] = await Promise.all([getEffectiveModelLimits(plan), getEffectiveModelAliases()]);
+  const limitObject = findLimitObjectForModel(modelName, modelName.toLowerCase(), modelLimits, modelAliases);
+  if (!limitObject) return null;
+  return { ...calculateQuotaStatus(null, limitObject, [], Date.now()), displayText: limitObject.displayText };
+}
+
+// Models that can't be picked for a chat message, so they are never offered as an alternative
+const NON_CHAT_MODEL_PREFIXES = ['deep-research', 'dall-e'];
+
+/**
+ * Quota of every model on the account's plan and every tracked model (plus `extraModels`), with
+ * `cappedUntil` set while the model can't be used. A limit banner resets the counter, so a cap is
+ * taken from the rate-limit hit log as well as from an exhausted window.
+ *
+ * @param {string} [accountId] - Account (default: the active one)
+ * @param {string[]} [extraModels] - Models to include even if they are neither on the plan nor tracked
+ * @returns {Promise<Object>} { [modelName]: quota status + { displayText, inRegistry, chatModel, cappedUntil } }
+ */
+async function getModelAvailability(accountId, extraModels = []) {
+  const { plan, accountId: effectiveAccountId, quota } = await getQuotaStatus(null, accountId);
+  const [modelLimits, modelAliases, hits] = await Promise.all([
+    getEffectiveModelLimits(plan),
+    getEffectiveModelAliases(),
+    getRateLimitHitsFromStorage({ accountId: effectiveAccountId })
+  ]);
+
+  const now = Date.now();
+  const availability = {};
+  for (const modelName of new Set([...Object.keys(modelLimits), ...Object.keys(quota), ...extraModels])) {
+    const limitObject = findLimitObjectForModel(modelName, modelName.toLowerCase(), modelLimits, modelAliases);
+    const modelQuota = quota[modelName] || {
+      ...calculateQuotaStatus(null, limitObject, [], now),
+      displayText: limitObject ? limitObject.displayText : ''
+    };
+    const notOnPlan = !!limitObject && limitObject.periodUnit === 'none';
+    const bannerCap = hits.filter(hit => hit.model === modelName && hit.kind === 'limit' && hit.resetTime > now).pop();
+    let cappedUntil = null;
+    if (bannerCap) {
+      cappedUntil = bannerCap.resetTime;
+    } else if (modelQuota.remaining === 0 && !notOnPlan) {
+      cappedUntil = (modelQuota.windowType === 'rolling' ? modelQuota.nextSlotTime : modelQuota.resetTime) || null;
+    }
+    availability[modelName] = {
+      ...modelQuota,
+      inRegistry: !!limitObject,
+      chatModel: !notOnPlan && !NON_CHAT_MODEL_PREFIXES.some(prefix => modelName.toLowerCase().startsWith(prefix)),
+      cappedUntil: cappedUntil
+    };
+  }
+  return availability;
+}
+
+// Whether to confirm before sending with a model: it is capped, or has the configured number of
+// messages left or fewer. Also lists the models that could take the message instead.
+async function checkPreSend(modelName, accountId) {
+  const [settings, budgetSettings] = await Promise.all([getPreSendGuardFromStorage(), getBudgetSettingsFromStorage()]);
+  if (!settings.enabled && !budgetSettings.confirmWhenExceeded) return { confirm: false };
+
+  const [availability, fallbackOrder, { budgets }] = await Promise.all([
+    getModelAvailability(accountId, [modelName]),
+    getFallbackOrderFromStorage(),
+    getBudgetStatus(accountId)
+  ]);
+  const modelStatus = availability[modelName];
+  const budget = budgets[modelName.toLowerCase()] || null;
+  const capped = settings.enabled && !!modelStatus.cappedUntil;
+  const low = settings.enabled && modelStatus.limit !== null && modelStatus.remaining <= settings.remainingThreshold;
+  const overBudget = budgetSettings.confirmWhenExceeded && !!budget && budget.remaining === 0;
+  if (!capped && !low && !overBudget) return { confirm: false };
+
+  const isBudgetUsedUp = name => !!budgets[name.toLowerCase()] && budgets[name.toLowerCase()].remaining === 0;
+  const alternatives = Object.entries(availability)
+    .filter(([name, status]) => name !== modelName && status.chatModel && !status.cappedUntil && status.remaining !== 0 && !isBudgetUsedUp(name))
+    .map(([name, status]) => ({ model: name, remaining: status.remaining, limit: status.limit, displayText: status.displayText }))
+    // The user's fallback models first, in their order, then unlimited models and the ones with the most messages left
+    .sort((a, b) => fallbackRank(a.model, fallbackOrder) - fallbackRank(b.model, fallbackOrder) ||
+      (b.remaining === null ? Infinity : b.remaining) - (a.remaining === null ? Infinity : a.remaining) ||
+      a.model.localeCompare(b.model));
+
+  const quotaResetAt = modelStatus.cappedUntil || (modelStatus.windowType === 'rolling' ? modelStatus.nextSlotTime : modelStatus.resetTime) || null;
+  return {
+    confirm: true,
+    reason: capped ? 'capped' : low ? 'low' : 'budget',
+    model: modelName,
+    quota: modelStatus,
+    budget: budget,
+    resetAt: capped || low ? quotaResetAt : budget.resetTime,
+    alternatives: alternatives
+  };
+}
+
+/**
+ * Progress of every personal budget for an account, keyed by the budget's (lowercase) model name.
+ * Budgets count the account's usage events of the model in the current calendar period.
+ *
+ * @param {string} [accountId] - Account (default: the active one)
+ * @returns {Promise<{budgets: Object, warningPercent: number}>} budgets: { [model]: calculateBudgetStatus() + level }
+ */
+async function getBudgetStatus(accountId) {
+  const settings = await getBudgetSettingsFromStorage();
+  const budgetEntries = Object.entries(settings.models);
+  if (budgetEntries.length === 0) return { budgets: {}, warningPercent: settings.warningPercent };
+
+  const now = Date.now();
+  // Months and weeks overlap either way round, so read from the earlier of the two starts
+  const since = Math.min(...budgetEntries.map(([, budget]) => getCalendarPeriodStart(budget.period, now)));
+  const events = await getUsageEventsFromStorage({ since: since, accountId: await resolveAccountId(accountId) });
+  const levelThresholds = { warning: settings.warningPercent, critical: 100 };
+
+  const budgets = {};
+  for (const [modelName, budget] of budgetEntries) {
+    const modelEvents = events.filter(event => event.model.toLowerCase() === modelName);
+    const status = calculateBudgetStatus(budget, modelEvents, now);
+    budgets[modelName] = { ...status, level: getQuotaLevel(status, levelThresholds) };
+  }
+  return { budgets: budgets, warningPercent: settings.warningPercent };
+}
+
+async function handleSetBudgets(settings) {
+  const warningPercent = Number(settings.warningPercent);
+  if (!Number.isInteger(warningPercent) || warningPercent < 1 || warningPercent > 100) {
+    throw new Error('The budget warning must be a whole percentage between 1 and 100.');
+  }
+  const models = {};
+  for (const [modelName, budget] of Object.entries(settings.models || {})) {
+    const name = modelName.trim().toLowerCase();
+    const count = Number(budget && budget.count);
+    if (!name) {
+      throw new Error('Every budget needs a model name.');
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`The budget for ${name} must be a whole number of messages, 1 or more.`);
+    }
+    if (!BUDGET_PERIODS.includes(budget.period)) {
+      throw new Error(`The budget for ${name} needs a period: ${BUDGET_PERIODS.join(', ')}.`);
+    }
+    models[name] = { count: count, period: budget.period };
+  }
+  const cleaned = { models: models, warningPercent: warningPercent, confirmWhenExceeded: !!settings.confirmWhenExceeded };
+  if (!await saveBudgetSettingsToStorage(cleaned)) {
+    throw new Error('Failed to save the budgets.');
+  }
+  return cleaned;
+}
+
+// Position of a model in the fallback order, models that aren't in it last
+function fallbackRank(modelName, fallbackOrder) {
+  const index = fallbackOrder.indexOf(modelName.toLowerCase());
+  return index === -1 ? fallbackOrder.length : index;
+}
+
+// First model of the user's fallback order that still has quota on the account, or null.
+// Models unknown to the limits registry are skipped, as nothing says they have quota left.
+async function suggestFallbackModel(cappedModel, accountId) {
+  const fallbackOrder = await getFallbackOrderFromStorage();
+  const availability = await getModelAvailability(accountId, fallbackOrder);
+  for (const modelName of fallbackOrder) {
+    const status = availability[modelName];
+    if (modelName === cappedModel.toLowerCase() || !status || !status.inRegistry || !status.chatModel ||
+        status.cappedUntil || status.remaining === 0) {
+      continue;
+    }
+    return { model: modelName, remaining: status.remaining, limit: status.limit, displayText: status.displayText };
+  }
+  return null;
+}
+
+async function handleSetFallbackOrder(order) {
+  const cleaned = [];
+  for (const entry of order) {
+    const modelName = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+    if (!modelName) {
+      throw new Error('Every fallback model needs a name.');
+    }
+    if (!cleaned.includes(modelName)) cleaned.push(modelName);
+  }
+  if (!await saveFallbackOrderToStorage(cleaned)) {
+    throw new Error('Failed to save the fallback order.');
+  }
+  return cleaned;
+}
+
+async function handleSetPreSendGuard(settings) {
+  const remainingThreshold = Number(settings.remainingThreshold);
+  if (!Number.isInteger(remainingThreshold) || remainingThreshold < 0) {
+    throw new Error('The number of messages left must be a whole number, 0 or more.');
+  }
+  const cleaned = { enabled: settings.enabled !== false, remainingThreshold: remainingThreshold };
+  if (!await savePreSendGuardToStorage(cleaned)) {
+    throw new Error('Failed to save the pre-send confirmation settings.');
+  }
+  return cleaned;
+}
+
+async function handleSetQuotaThresholds(thresholds) {
+  const warning = Number(thresholds.warning);
+  const critical = Number(thresholds.critical);
+  if (!Number.isInteger(warning) || !Number.isInteger(critical) || warning < 1 || critical > 100 || warning >= critical) {
+    throw new Error('Thresholds must be whole percentages between 1 and 100, with the warning below the critical one.');
+  }
+  if (!await saveQuotaThresholdsToStorage({ warning, critical })) {
+    throw new Error('Failed to save the thresholds.');
+  }
+  return { warning, critical };
+}
+
+// Validates a backup, brings it to the current schema and merges it into (or replaces) the stored data
+async function handleRestoreBackup(backup, mode) {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode "${mode}".`);
+  }
+  const errors = validateBackup(backup, CURRENT_SCHEMA_VERSION);
+  if (errors.length > 0) {
+    throw new Error(`Invalid backup: ${errors.join(' ')}`);
+  }
+
+  const data = JSON.parse(JSON.stringify(backup.data));
+  const { version, applied } = migrateSnapshot(data, backup.schemaVersion);
+  data[SCHEMA_VERSION_KEY] = version;
+  if (applied.length > 0) {
+    console.log(`ModelMeter Background: Upgraded backup from schema v${backup.schemaVersion}:`, applied);
+  }
+
+  await rewriteStorage(current => mode === 'replace' ? data : mergeStorageSnapshots(current, data));
+  console.log(`ModelMeter Background: Restored backup from ${backup.createdAt} (${mode})`);
+  return { mode: mode, migrations: applied };
+}
+
+// Builds a usage history file for one account and date range from the usage event log
+async function handleUsageExport(message) {
+  const accountId = await resolveAccountId(message.accountId);
+  const since = Number(message.since) || null;
+  const until = Number(message.until) || null;
+  const userPlan = await getUserPlanFromStorage(accountId);
+  const [events, modelData, modelLimits, modelAliases, accounts] = await Promise.all([
+    getUsageEventsFromStorage({ since: since, until: until, accountId: accountId }),
+    getModelDataFromStorage(accountId),
+    getEffectiveModelLimits(userPlan),
+    getEffectiveModelAliases(),
+    getAccountsFromStorage()
+  ]);
+
+  const findLimit = modelName => findLimitObjectForModel(modelName, modelName.toLowerCase(), modelLimits, modelAliases);
+  const account = { id: accountId, label: accounts[accountId] ? accounts[accountId].label : 'Unidentified account' };
+  const windows = message.kind === 'csv-events' ? [] : buildUsageWindows(events, modelData, findLimit);
+  console.log(`ModelMeter Background: Exporting ${events.length} usage event(s) of ${account.label} as ${message.kind}`);
+  return buildUsageExport(message.kind, { account, since, until, events, windows });
+}
+
+async function openDashboard(accountId) {
+  const dashboardUrl = chrome.runtime.getURL('dashboard.html');
+  const url = accountId ? `${dashboardUrl}?account=${encodeURIComponent(accountId)}` : dashboardUrl;
+  const tabs = await chrome.tabs.query({});
+  const existingTab = tabs.find(tab => tab.url && tab.url.startsWith(dashboardUrl));
+  if (existingTab) {
+    await chrome.tabs.update(existingTab.id, { active: true, url: url });
+    await chrome.windows.update(existingTab.windowId, { focused: true });
+    return;
+  }
+  await chrome.tabs.create({ url: url });
+}
+
+// Accounts for the account picker: identified accounts newest first, plus the unidentified
+// bucket while it still holds usage recorded before any account was known
+async function getAccountList() {
+  const [accounts, activeAccountId] = await Promise.all([getAccountsFromStorage(), getActiveAccountIdFromStorage()]);
+  const list = Object.entries(accounts)
+    .map(([id, info]) => ({ id: id, ...info, active: id === activeAccountId }))
+    .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+  if (!accounts[activeAccountId]) {
+    list.unshift({ id: activeAccountId, label: 'Unidentified account', email: null, structure: null, active: true });
+  }
+  return { accounts: list, activeAccountId: activeAccountId };
+}
+
+// Validates and applies an imported limit profile. The profile replaces the built-in
+// tables and supersedes any per-model overrides, which are cleared.
+async function handleImportLimitProfile(profile) {
+  const errors = validateLimitProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(`Invalid limit profile: ${errors.join(' ')}`);
+  }
+
+  const savedProfile = await saveLimitProfileToStorage({
+    format: profile.format,
+    schemaVersion: profile.schemaVersion,
+    importedAt: Date.now(),
+    periods: profile.periods,
+    models: profile.models,
+    aliases: profile.aliases,
+    plans: profile.plans
+  });
+  const clearedOverrides = await saveLimitOverridesToStorage({});
+  if (!savedProfile || !clearedOverrides) {
+    throw new Error('Failed to save the imported limit profile.');
+  }
+  console.log(`ModelMeter Background: Imported limit profile with plans: ${Object.keys(profile.plans).join(', ')}`);
+}
+
+// Applies a plan change to an account (default: the active one). A detected plan is always remembered
+// but only becomes the active plan when the user has not picked one by hand; a manual choice always wins
+// until the user reverts to the detected plan.
+async function handleSetUserPlan(plan, source, accountId) {
+  const effectiveAccountId = await resolveAccountId(accountId);
+  const current = await getUserPlanDetailsFromStorage(effectiveAccountId);
+  let changed = false;
+
+  if (source === 'revert-to-detected') {
+    if (!current.detectedPlan) {
+      return { status: 'error', message: 'No plan has been detected for this account yet.' };
+    }
+    changed = current.plan !== current.detectedPlan || current.source !== 'detected';
+    if (changed && !await saveUserPlanToStorage(current.detectedPlan, 'detected', effectiveAccountId)) {
+      return { status: 'error', message: `Invalid or unsaved plan "${current.detectedPlan}".` };
+    }
+    console.log(`ModelMeter Background: Reverted to the detected plan ${current.detectedPlan}`);
+    return { status: 'success', plan: current.detectedPlan, source: 'detected', detectedPlan: current.detectedPlan, changed: changed };
+  }
+
+  if (source === 'detected' && plan !== current.detectedPlan) {
+    if (!await saveDetectedPlanToStorage(plan, effectiveAccountId)) {
+      return { status: 'error', message: 'Failed to save detected plan.' };
+    }
+    changed = true;
+  }
+
+  if (source === 'detected' && current.source === 'manual') {
+    console.log(`ModelMeter Background: Detected plan ${plan} ignored, user chose ${current.plan} manually`);
+    return { status: 'success', plan: current.plan, source: current.source, detectedPlan: plan, changed: changed };
+  }
+
+  if (plan !== current.plan || source !== current.source) {
+    if (!await saveUserPlanToStorage(plan, source, effectiveAccountId)) {
+      return { status: 'error', message: `Invalid or unsaved plan "${plan}".` };
+    }
+    changed = true;
+  }
+
+  const detectedPlan = source === 'detected' ? plan : current.detectedPlan;
+  return { status: 'success', plan: plan, source: source, detectedPlan: detectedPlan, changed: changed };
+}
+
+// Stores (or clears, when message.override is null) the user override for one model on one plan
+async function handleSetLimitOverride(message) {
+  const { plan, model, override } = message;
+  const overrides = await getLimitOverridesFromStorage();
+  const planOverrides = overrides[plan] || {};
+
+  if (override === null || override === undefined) {
+    delete planOverrides[model];
+    console.log(`ModelMeter Background: Removed limit override for ${plan}/${model}.`);
+  } else {
+    const validationError = validateLimitEntry(override);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    planOverrides[model] = {
+      count: override.count,
+      periodAmount: override.periodAmount,
+      periodUnit: override.periodUnit,
+      windowType: override.windowType || 'fixed'
+    };
+    console.log(`ModelMeter Background: Saved limit override for ${plan}/${model}:`, planOverrides[model]);
+  }
+
+  overrides[plan] = planOverrides;
+  if (Object.keys(planOverrides).length === 0) {
+    delete overrides[plan];
+  }
+  const saved = await saveLimitOverridesToStorage(overrides);
+  if (!saved) {
+    throw new Error('Failed to save limit overrides.');
+  }
+}
+
 // NEW function to handle model configuration updates
 async function handleModelConfigUpdate(message) {
   const { modelName, count, untilTimestamp, userPlan } = message;
+  const accountId = await resolveAccountId(message.accountId);
   console.log(`ModelMeter Background: Processing configuration update for ${modelName}.`);
 
   if (!modelName || isNaN(count) || isNaN(untilTimestamp)) {
@@ -228,63 +1144,46 @@ async function handleModelConfigUpdate(message) {
     throw new Error('Invalid data received for model configuration update.');
   }
 
-  const modelData = await getModelDataFromStorage();
-  if (!modelData[modelName]) {
-    throw new Error(`Model ${modelName} not found in storage.`);
-  }
-
   // Get model limits to calculate the lastResetTimestamp based on the new untilTimestamp
-  const modelLimits = getModelLimits(userPlan);
+  const modelLimits = await getEffectiveModelLimits(userPlan);
   const modelLowerCase = modelName.toLowerCase();
-  const limitObject = findLimitObjectForModel(modelName, modelLowerCase, modelLimits);
+  const limitObject = findLimitObjectForModel(modelName, modelLowerCase, modelLimits, await getEffectiveModelAliases());
 
-  // Update the count
-  modelData[modelName].count = count;
+  const addedCount = await updateModelDataInStorage(modelData => {
+    if (!modelData[modelName]) {
+      throw new Error(`Model ${modelName} not found in storage.`);
+    }
+    const previousCount = modelData[modelName].count || 0;
+
+    // Update the count
+    modelData[modelName].count = count;
   
-  // Update the until timestamp
-  modelData[modelName].nextResetTime = untilTimestamp;
-  modelData[modelName].limitResetTime = untilTimestamp; // Keep consistent
+    // Update the until timestamp
+    modelData[modelName].nextResetTime = untilTimestamp;
   
-  // Calculate and update the since timestamp (lastResetTimestamp)
-  if (limitObject && limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none') {
-    // For models with a period, we need to back-calculate the since timestamp
-    // based on the until timestamp and the period
-    
-    // Create a date from the until timestamp
-    const untilDate = new Date(untilTimestamp);
-    
-    // Calculate the since timestamp by subtracting one period
-    let sinceDate = new Date(untilDate);
+    // Calculate and update the since timestamp (lastResetTimestamp)
+    if (limitObject && limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none') {
+      // For models with a period, we need to back-calculate the since timestamp
+      // based on the until timestamp and the period
+      // (unknown period units yield null, in which case the current 'Since' is kept)
+      const sinceTimestamp = calculatePreviousTimestampBeforePeriod(untilTimestamp, limitObject);
     
-    switch(limitObject.periodUnit) {
-      case 'hour':
-        sinceDate.setHours(sinceDate.getHours() - limitObject.periodAmount);
-        break;
-      case 'day':
-        sinceDate.setDate(sinceDate.getDate() - limitObject.periodAmount);
-        break;
-      case 'week':
-        sinceDate.setDate(sinceDate.getDate() - (limitObject.periodAmount * 7));
-        break;
-      case 'month':
-        sinceDate.setMonth(sinceDate.getMonth() - limitObject.periodAmount);
-        break;
-      default:
-        // For unknown period units, log a warning and don't update the since timestamp
-        console.warn(`ModelMeter Background: Unknown periodUnit "${limitObject.periodUnit}" for model, using current lastResetTimestamp.`);
+      modelData[modelName].lastResetTimestamp = sinceTimestamp || modelData[modelName].lastResetTimestamp;
+      console.log(`ModelMeter Background: Calculated new 'Since' timestamp for ${modelName}: ${new Date(modelData[modelName].lastResetTimestamp).toLocaleString()}`);
+    } else {
+      // For unlimited/none models, just keep the current lastResetTimestamp
+      console.log(`ModelMeter Background: Model ${modelName} has no period or is unlimited. Keeping current 'Since' timestamp.`);
     }
-    
-    modelData[modelName].lastResetTimestamp = sinceDate.getTime();
-    console.log(`ModelMeter Background: Calculated new 'Since' timestamp for ${modelName}: ${new Date(modelData[modelName].lastResetTimestamp).toLocaleString()}`);
-  } else {
-    // For unlimited/none models, just keep the current lastResetTimestamp
-    console.log(`ModelMeter Background: Model ${modelName} has no period or is unlimited. Keeping current 'Since' timestamp.`);
-  }
   
-  console.log(`ModelMeter Background: Updated ${modelName} configuration - Count: ${modelData[modelName].count}, Since: ${new Date(modelData[modelName].lastResetTimestamp).toLocaleString()}, Until: ${new Date(modelData[modelName].nextResetTime).toLocaleString()}`);
-  
-  await saveModelDataToStorage(modelData);
+    console.log(`ModelMeter Background: Updated ${modelName} configuration - Count: ${modelData[modelName].count}, Since: ${new Date(modelData[modelName].lastResetTimestamp).toLocaleString()}, Until: ${new Date(modelData[modelName].nextResetTime).toLocaleString()}`);
+    return count - previousCount;
+  }, accountId);
   console.log(`ModelMeter Background: Saved updated configuration for ${modelName}.`);
+
+  // A count raised by hand is logged as manual usage events, so the log still explains the count
+  if (addedCount > 0) {
+    await appendUsageEventsToStorage(Array.from({ length: addedCount }, () => ({ model: modelName, source: 'manual', plan: userPlan, accountId: accountId })));
+  }
 }
 
 // NEW function to handle rate limit hits based on banner detection
@@ -297,11 +1196,11 @@ async function handleRateLimitHit(message) {
     throw new Error('Invalid data received for rate limit hit.');
   }
 
-  const modelData = await getModelDataFromStorage();
-  const userPlan = await getUserPlanFromStorage();
-  const modelLimits = getModelLimits(userPlan);
+  const accountId = await resolveAccountId(message.accountId);
+  const userPlan = await getUserPlanFromStorage(accountId);
+  const modelLimits = await getEffectiveModelLimits(userPlan);
   const modelLowerCase = modelSlug.toLowerCase();
-  const limitObject = findLimitObjectForModel(modelSlug, modelLowerCase, modelLimits);
+  const limitObject = findLimitObjectForModel(modelSlug, modelLowerCase, modelLimits, await getEffectiveModelAliases());
 
   let newSinceTimestamp = newSinceTimestampFromBanner;
   let newUntilTimestamp = null;
@@ -335,23 +1234,38 @@ async function handleRateLimitHit(message) {
     console.warn(`ModelMeter Background: No limitObject found for ${modelSlug} to calculate 'Until'. 'Until' will be null.`);
   }
   
-  // Ensure the model entry exists
-  if (!modelData[modelSlug]) {
-    modelData[modelSlug] = { count: 0 }; // Initialize if new
-  }
-  
-  // Update model data
-  if (resetCounter) {
-    modelData[modelSlug].count = 0;
-  }
-  modelData[modelSlug].lastResetTimestamp = newSinceTimestamp; // This is the new 'Start'
-  modelData[modelSlug].nextResetTime = newUntilTimestamp;      // This is the new 'Until'
-  modelData[modelSlug].limitResetTime = newUntilTimestamp;     // Keep consistent
+  await updateModelDataInStorage(modelData => {
+    // Ensure the model entry exists
+    if (!modelData[modelSlug]) {
+      modelData[modelSlug] = { count: 0 }; // Initialize if new
+    }
   
-  console.log(`ModelMeter Background: Updated ${modelSlug} - Start: ${new Date(modelData[modelSlug].lastResetTimestamp).toLocaleString()}, Until: ${newUntilTimestamp ? new Date(newUntilTimestamp).toLocaleString() : 'N/A'}, Count: ${modelData[modelSlug].count}`);
+    // Update model data
+    if (resetCounter) {
+      modelData[modelSlug].count = 0;
+      modelData[modelSlug].autoRoutedCount = 0;
+    }
+    modelData[modelSlug].lastResetTimestamp = newSinceTimestamp; // This is the new 'Start'
+    modelData[modelSlug].nextResetTime = newUntilTimestamp;      // This is the new 'Until'
   
-  await saveModelDataToStorage(modelData);
+    console.log(`ModelMeter Background: Updated ${modelSlug} - Start: ${new Date(modelData[modelSlug].lastResetTimestamp).toLocaleString()}, Until: ${newUntilTimestamp ? new Date(newUntilTimestamp).toLocaleString() : 'N/A'}, Count: ${modelData[modelSlug].count}`);
+  }, accountId);
   console.log(`ModelMeter Background: Saved updated model data for ${modelSlug} after rate limit hit.`);
+
+  // Keep the hit for the history chart; warnings (counter not reset) are logged separately
+  const isNewHit = await appendRateLimitHitToStorage({
+    model: modelSlug,
+    kind: resetCounter ? 'limit' : 'warning',
+    resetTime: newUntilTimestamp,
+    accountId: accountId
+  });
+  if (!isNewHit || !resetCounter) return null;
+
+  const resetText = newUntilTimestamp ? ` It resets ${new Date(newUntilTimestamp).toLocaleString()}.` : '';
+  await notifyUser('limitHit', modelSlug, `${modelSlug} limit reached`, `ChatGPT reports that you hit the ${modelSlug} limit.${resetText}`);
+
+  const fallback = await suggestFallbackModel(modelSlug, accountId);
+  return fallback ? { ...fallback, cappedModel: modelSlug, cappedUntil: newUntilTimestamp } : null;
 }
 
 // NEW function to handle single model resets (manual from popup, or from expired model check)
@@ -364,39 +1278,384 @@ async function handleSingleModelReset(message) {
     throw new Error('Invalid model name for reset.');
   }
 
-  const modelData = await getModelDataFromStorage();
+  const accountId = await resolveAccountId(message.accountId);
   const now = resetTimestamp || new Date().getTime(); // Use provided resetTimestamp or now if not given
 
-  // Ensure the model entry exists
-  if (!modelData[modelFullName]) {
-    modelData[modelFullName] = {}; // Initialize if new, count will be set to 0
-  }
-  
-  modelData[modelFullName].count = 0;
-  modelData[modelFullName].lastResetTimestamp = now; // Set 'Start' to now or provided time
-  
   // If a specific nextResetTime (Until) was provided (e.g., from expired check or manual reset with calculation),
   // use that. Otherwise, calculate it based on the new 'Start' (now).
   let calculatedUntil = newNextResetTimeFromMessage;
   if (typeof calculatedUntil !== 'number') { // If not provided, calculate it
-      const userPlan = await getUserPlanFromStorage();
-      const modelLimits = getModelLimits(userPlan);
+      const userPlan = await getUserPlanFromStorage(accountId);
+      const modelLimits = await getEffectiveModelLimits(userPlan);
       const modelLowerCase = modelFullName.toLowerCase();
-      const limitObject = findLimitObjectForModel(modelFullName, modelLowerCase, modelLimits);
+      const limitObject = findLimitObjectForModel(modelFullName, modelLowerCase, modelLimits, await getEffectiveModelAliases());
       if (limitObject) {
           calculatedUntil = calculateNextTimestampAfterPeriod(now, limitObject);
       }
   }
   
-  modelData[modelFullName].nextResetTime = calculatedUntil;
-  modelData[modelFullName].limitResetTime = calculatedUntil; // Keep consistent
-  
+  await updateModelDataInStorage(modelData => {
+    // Ensure the model entry exists
+    if (!modelData[modelFullName]) {
+      modelData[modelFullName] = {}; // Initialize if new, count will be set to 0
+    }
+
+    modelData[modelFullName].count = 0;
+    modelData[modelFullName].autoRoutedCount = 0;
+    modelData[modelFullName].lastResetTimestamp = now; // Set 'Start' to now or provided time
+    modelData[modelFullName].nextResetTime = calculatedUntil;
+  }, accountId);
   console.log(`ModelMeter Background: Reset ${modelFullName} - Start: ${new Date(now).toLocaleString()}, Until: ${calculatedUntil ? new Date(calculatedUntil).toLocaleString() : 'N/A'}, Count: 0`);
 
-  await saveModelDataToStorage(modelData);
   console.log(`ModelMeter Background: Saved updated model data for ${modelFullName} after single reset.`);
 }
 
+// --- Reset Scheduling ---
+// Every fixed-window model with an 'Until' time gets a chrome alarm named after its account and itself,
+// so counters reset on time even when no ChatGPT tab (or another account) is open. Rolling-window
+// models never reset and get no alarm.
+const RESET_ALARM_PREFIX = 'modelmeter-reset:';
+// Chrome may round or delay alarm times; an alarm this close to the wanted time is left alone
+const RESET_ALARM_TOLERANCE_MS = 60 * 1000;
+let resetAlarmSync = Promise.resolve();
+
+// Serializes alarm syncs so that overlapping triggers (alarm, storage change, startup) never reset a model
+// twice. scope limits the sync to some models, { [accountId]: [modelName, ...] }; without it every
+// model of every account is synced.
+function scheduleResetAlarmSync(scope) {
+  resetAlarmSync = resetAlarmSync
+    .then(() => syncResetAlarms(scope))
+    .catch(error => console.error('ModelMeter Background: Error syncing reset alarms:', error));
+  return resetAlarmSync;
+}
+
+function resetAlarmName(accountId, modelName) {
+  return `${RESET_ALARM_PREFIX}${accountId}:${modelName}`;
+}
+
+// Resets models whose 'Until' has passed and makes their alarms match the remaining 'Until' times, in
+// every account or only for the models in scope (see scheduleResetAlarmSync)
+async function syncResetAlarms(scope) {
+  const [accountIds, modelAliases, existingAlarms] = await Promise.all([
+    scope ? Object.keys(scope) : getTrackedAccountIds(),
+    getEffectiveModelAliases(),
+    chrome.alarms.getAll()
+  ]);
+
+  const now = Date.now();
+  const wantedAlarms = {};
+  const syncedAlarmNames = new Set();
+  let resetsPerformed = 0;
+
+  for (const accountId of accountIds) {
+    const userPlan = await getUserPlanFromStorage(accountId);
+    const [modelData, modelLimits] = await Promise.all([
+      getModelDataFromStorage(accountId),
+      getEffectiveModelLimits(userPlan)
+    ]);
+    if (scope) {
+      scope[accountId].forEach(modelName => syncedAlarmNames.add(resetAlarmName(accountId, modelName)));
+    }
+
+    for (const [modelName, modelInfo] of Object.entries(modelData)) {
+      if (scope && !scope[accountId].includes(modelName)) continue;
+      const limitObject = findLimitObjectForModel(modelName, modelName.toLowerCase(), modelLimits, modelAliases);
+      if (limitObject && limitObject.windowType === 'rolling') continue;
+
+      let resetTime = Number(modelInfo.nextResetTime);
+      if (!resetTime) continue;
+
+      if (resetTime <= now) {
+        const wasCapped = await isModelCapped(accountId, modelName, modelInfo, limitObject);
+        resetTime = await resetExpiredModel(accountId, modelName, resetTime, limitObject, now);
+        resetsPerformed++;
+        if (wasCapped) {
+          await notifyUser('reset', modelName, `${modelName} is available again`, `The ${modelName} limit has reset, you can send messages again.`);
+        }
+      }
+      if (resetTime) {
+        wantedAlarms[resetAlarmName(accountId, modelName)] = resetTime;
+      }
+    }
+  }
+
+  const isInScope = alarmName => scope ? syncedAlarmNames.has(alarmName) : alarmName.startsWith(RESET_ALARM_PREFIX);
+  const isUpToDate = alarm => alarm.name in wantedAlarms &&
+    Math.abs(alarm.scheduledTime - wantedAlarms[alarm.name]) <= RESET_ALARM_TOLERANCE_MS;
+  for (const alarm of existingAlarms) {
+    if (isInScope(alarm.name) && !isUpToDate(alarm)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  for (const [alarmName, when] of Object.entries(wantedAlarms)) {
+    if (!existingAlarms.some(alarm => alarm.name === alarmName && isUpToDate(alarm))) {
+      await chrome.alarms.create(alarmName, { when: when });
+      console.log(`ModelMeter Background: ⏰ Reset alarm for ${alarmName.slice(RESET_ALARM_PREFIX.length)} at ${new Date(when).toLocaleString()}`);
+    }
+  }
+
+  if (resetsPerformed > 0) {
+    console.log(`ModelMeter Background: Reset ${resetsPerformed} expired model(s)`);
+    broadcastCountersRefresh();
+  }
+}
+
+// Starts a new window for an expired model. The window starts at the scheduled reset time (skipping
+// whole periods that passed while the browser was closed), not at the moment the reset ran.
+// Returns the new 'Until' time, or null if the model has no period.
+async function resetExpiredModel(accountId, modelName, resetTime, limitObject, now) {
+  let sinceTimestamp = resetTime;
+  let untilTimestamp = calculateNextTimestampAfterPeriod(sinceTimestamp, limitObject);
+  while (untilTimestamp && untilTimestamp <= now) {
+    sinceTimestamp = untilTimestamp;
+    untilTimestamp = calculateNextTimestampAfterPeriod(sinceTimestamp, limitObject);
+  }
+
+  console.log(`ModelMeter Background: ⏰ ${modelName} expired at ${new Date(resetTime).toLocaleString()}, resetting`);
+  await handleSingleModelReset({ modelFullName: modelName, resetTimestamp: sinceTimestamp, nextResetTime: untilTimestamp, accountId: accountId });
+  return untilTimestamp;
+}
+
+// A window is capped when its count reached the limit or ChatGPT showed the limit banner for it
+async function isModelCapped(accountId, modelName, modelInfo, limitObject) {
+  if (limitObject && typeof limitObject.count === 'number' && (modelInfo.count || 0) >= limitObject.count) return true;
+  const hits = await getRateLimitHitsFromStorage({ accountId: accountId, model: modelName });
+  return hits.some(hit => hit.kind === 'limit' && hit.resetTime === Number(modelInfo.nextResetTime));
+}
+
+// Tells the popup/options pages and every ChatGPT tab to re-render their counters
+function broadcastCountersRefresh() {
+  chrome.runtime.sendMessage({ action: 'countersDisplayShouldRefresh' }).catch(e => { /* no extension page open */ });
+  chrome.tabs.query({ url: 'https://chatgpt.com/*' }).then(tabs => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { action: 'countersDisplayShouldRefresh' }).catch(e => { /* content script not ready */ });
+    });
+  }).catch(error => console.error('ModelMeter Background: Error querying ChatGPT tabs:', error));
+}
+
+// --- Usage Event Pruning ---
+// Usage events older than the retention window are removed once a day (and shortly after startup),
+// so counting a message never has to touch old days.
+const PRUNE_USAGE_EVENTS_ALARM = 'modelmeter-prune-usage-events';
+
+function scheduleUsageEventPruning() {
+  chrome.alarms.create(PRUNE_USAGE_EVENTS_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name.startsWith(RESET_ALARM_PREFIX)) {
+    console.log(`ModelMeter Background: ⏰ Alarm fired: ${alarm.name}`);
+    scheduleResetAlarmSync();
+  } else if (alarm.name === PRUNE_USAGE_EVENTS_ALARM) {
+    pruneUsageEventsInStorage().catch(error => console.error('ModelMeter Background: Error pruning usage events:', error));
+  }
+});
+
+// Models of a counters change whose 'Until' time moved (or that were added or removed)
+function getModelsWithChangedResetTime(change) {
+  const oldData = change.oldValue || {};
+  const newData = change.newValue || {};
+  return [...new Set([...Object.keys(oldData), ...Object.keys(newData)])].filter(modelName =>
+    (oldData[modelName] && oldData[modelName].nextResetTime) !== (newData[modelName] && newData[modelName].nextResetTime));
+}
+
+// A plan or limits change (of any account) can move every 'Until' time; a counters change only those
+// of its own models
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  const changedKeys = Object.keys(changes);
+  const modelDataKeys = changedKeys.filter(key => key.startsWith(`${MODEL_DATA_KEY}:`));
+  if (changedKeys.some(key => isAccountScopedKey(key, USER_PLAN_KEY)) || changes[MODEL_DATA_KEY] ||
+      changes[LIMIT_OVERRIDES_KEY] || changes[LIMIT_PROFILE_KEY]) {
+    scheduleResetAlarmSync();
+    scheduleBadgeUpdate();
+  } else if (modelDataKeys.length > 0) {
+    const scope = {};
+    modelDataKeys.forEach(key => {
+      const models = getModelsWithChangedResetTime(changes[key]);
+      if (models.length > 0) scope[key.slice(MODEL_DATA_KEY.length + 1)] = models;
+    });
+    if (Object.keys(scope).length > 0) scheduleResetAlarmSync(scope);
+    scheduleBadgeUpdate();
+  } else if (changes[QUOTA_THRESHOLDS_KEY]) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// --- Toolbar Badge ---
+// The action badge shows how many messages are left for the model selected in the focused ChatGPT
+// tab, colored like the bubble. Counter changes arrive through storage.onChanged, tab and window
+// switches through the listeners below.
+const BADGE_COLORS = { ok: '#28a745', warning: '#d97706', critical: '#dc3545', exhausted: '#dc3545' };
+let badgeUpdateTimer = null;
+
+// Collapses bursts of triggers (an increment writes several keys) into one update
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeUpdateTimer);
+  badgeUpdateTimer = setTimeout(() => {
+    updateActionBadge().catch(error => console.error('ModelMeter Background: Error updating the toolbar badge:', error));
+  }, 250);
+}
+
+async function updateActionBadge() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url || !tab.url.startsWith('https://chatgpt.com/')) {
+    await clearActionBadge();
+    return;
+  }
+
+  let pageInfo = null;
+  try {
+    pageInfo = await chrome.tabs.sendMessage(tab.id, { action: 'ping' });
+  } catch (error) {
+    // Content script not loaded (yet)
+  }
+  if (!pageInfo || !pageInfo.model) {
+    await clearActionBadge();
+    return;
+  }
+
+  const [modelQuota, thresholds] = await Promise.all([
+    getModelQuota(pageInfo.model, pageInfo.accountId || undefined),
+    getQuotaThresholdsFromStorage()
+  ]);
+  const level = getQuotaLevel(modelQuota, thresholds);
+  if (level === 'unknown') {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: `ModelMeter · ${pageInfo.model}: ${modelQuota ? modelQuota.used : 0} used, no known limit` });
+    return;
+  }
+
+  const remaining = modelQuota.remaining;
+  await chrome.action.setBadgeText({ text: remaining > 999 ? '999+' : String(remaining) });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[level] });
+  if (chrome.action.setBadgeTextColor) {
+    await chrome.action.setBadgeTextColor({ color: '#ffffff' });
+  }
+  await chrome.action.setTitle({ title: `ModelMeter · ${pageInfo.model}: ${remaining} of ${modelQuota.limit} left (${modelQuota.displayText})` });
+}
+
+async function clearActionBadge() {
+  await chrome.action.setBadgeText({ text: '' });
+  await chrome.action.setTitle({ title: 'ModelMeter' });
+}
+
+chrome.tabs.onActivated.addListener(() => scheduleBadgeUpdate());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (tab.active && (changeInfo.url || changeInfo.status === 'complete')) {
+    scheduleBadgeUpdate();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(windowId => {
+  // Keep the badge while the browser itself is in the background
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// --- Notifications ---
+const NOTIFICATION_ID_PREFIX = 'modelmeter-';
+
+// Shows a desktop notification unless this kind is off for the model or it is quiet hours
+async function notifyUser(kind, modelName, title, message) {
+  const settings = await getNotificationSettingsFromStorage();
+  const modelSettings = settings.models[modelName] || {};
+  if (!settings.enabled || modelSettings[kind] === false) return;
+  if (isWithinQuietHours(settings.quietHours, new Date())) {
+    console.log(`ModelMeter Background: 🔕 Quiet hours, not showing "${title}"`);
+    return;
+  }
+  await chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}${kind}:${modelName}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'assets/icon128.png',
+    title: title,
+    message: message
+  });
+}
+
+// Quiet hours may wrap around midnight (22:00 - 07:00)
+function isWithinQuietHours(quietHours, date) {
+  if (!quietHours || !quietHours.enabled) return false;
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const current = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+// Notifies once, on the message that takes a model's usage to the configured share of its limit
+async function notifyIfThresholdCrossed(modelName, accountId) {
+  const [modelQuota, settings] = await Promise.all([getModelQuota(modelName, accountId), getNotificationSettingsFromStorage()]);
+  if (!modelQuota || !modelQuota.limit) return;
+  const threshold = modelQuota.limit * settings.thresholdPercent / 100;
+  if (modelQuota.used >= threshold && modelQuota.used - 1 < threshold) {
+    await notifyUser('threshold', modelName, `${modelName}: ${modelQuota.remaining} message${modelQuota.remaining === 1 ? '' : 's'} left`,
+      `You have used ${modelQuota.used} of ${modelQuota.limit} ${modelName} messages (${modelQuota.displayText}).`);
+  }
+}
+
+// Notifies on the message that reaches a budget's warning share, and on the one that uses it up
+async function notifyIfBudgetCrossed(modelName, accountId) {
+  const { budgets, warningPercent } = await getBudgetStatus(accountId);
+  const budget = budgets[modelName.toLowerCase()];
+  if (!budget) return;
+  const { adjective, current } = BUDGET_PERIOD_LABELS[budget.period];
+  const warningAt = budget.limit * warningPercent / 100;
+  if (budget.used === budget.limit) {
+    await notifyUser('budget', modelName, `${modelName}: ${adjective} budget used up`,
+      `You have sent the ${budget.limit} ${modelName} messages you budgeted ${current}. The budget starts over ${new Date(budget.resetTime).toLocaleString()}.`);
+  } else if (budget.used >= warningAt && budget.used - 1 < warningAt && budget.used < budget.limit) {
+    await notifyUser('budget', modelName, `${modelName}: ${budget.remaining} of your ${adjective} budget left`,
+      `You have sent ${budget.used} of the ${budget.limit} ${modelName} messages you budgeted ${current}.`);
+  }
+}
+
+async function handleSetNotificationSettings(settings) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const thresholdPercent = Number(settings.thresholdPercent);
+  const quietHours = settings.quietHours || {};
+  if (!Number.isInteger(thresholdPercent) || thresholdPercent < 1 || thresholdPercent > 100) {
+    throw new Error('The alert threshold must be a whole percentage between 1 and 100.');
+  }
+  if (!timePattern.test(quietHours.start) || !timePattern.test(quietHours.end)) {
+    throw new Error('Quiet hours need a start and end time as HH:MM.');
+  }
+  const models = {};
+  for (const [modelName, kinds] of Object.entries(settings.models || {})) {
+    const disabledKinds = NOTIFICATION_KINDS.filter(kind => kinds && kinds[kind] === false);
+    if (disabledKinds.length > 0) {
+      models[modelName] = Object.fromEntries(disabledKinds.map(kind => [kind, false]));
+    }
+  }
+  const cleaned = {
+    enabled: settings.enabled !== false,
+    thresholdPercent: thresholdPercent,
+    quietHours: { enabled: !!quietHours.enabled, start: quietHours.start, end: quietHours.end },
+    models: models
+  };
+  if (!await saveNotificationSettingsToStorage(cleaned)) {
+    throw new Error('Failed to save the notification settings.');
+  }
+  return cleaned;
+}
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  if (!notificationId.startsWith(NOTIFICATION_ID_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  openDashboard().catch(error => console.error('ModelMeter Background: Error opening dashboard from notification:', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  console.log('ModelMeter Background: Browser started, catching up on missed resets');
+  scheduleResetAlarmSync();
+  scheduleUsageEventPruning();
+});
+
 // Helper to send messages to tabs with retries (useful if content script isn't ready immediately)
 function sendMessageToTabWithRetries(tabId, message, retriesLeft) {
   if (retriesLeft <= 0) {
@@ -0,0 +1,205 @@
+// ModelMeter - backup_utils.js
+// Backup files hold everything ModelMeter keeps in chrome.storage.local. Loaded by the background
+// service worker (which creates and restores backups) and by the options page (which validates a
+// file and previews it before anything is restored).
+
+(function() {
+  'use strict';
+
+  const BACKUP_FORMAT = 'modelmeter-backup';
+  // Version of the file envelope; the layout of `data` is described by its schemaVersion
+  const BACKUP_FILE_VERSION = 1;
+  const RESTORE_MODES = ['merge', 'replace'];
+  // Usage events are stored per UTC day since schema version 3; older backups hold one "usageEvents" list
+  const USAGE_EVENTS_DAY_KEY_PATTERN = /^usageEvents:\d{4}-\d{2}-\d{2}$/;
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isUsageEventsKey(key) {
+    return key === 'usageEvents' || USAGE_EVENTS_DAY_KEY_PATTERN.test(key);
+  }
+
+  // Every usage event list of a snapshot, in either layout
+  function usageEventLists(data) {
+    return Object.keys(data).filter(isUsageEventsKey).map(key => data[key]).filter(Array.isArray);
+  }
+
+  /**
+   * Wraps a storage snapshot into a backup file.
+   *
+   * @param {Object} snapshot - Everything in chrome.storage.local
+   * @param {number} schemaVersion - Schema version the snapshot is in
+   * @param {string} [extensionVersion] - Version of the extension that wrote it
+   * @returns {Object} Backup file contents
+   */
+  function buildBackup(snapshot, schemaVersion, extensionVersion) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FILE_VERSION,
+      schemaVersion: schemaVersion,
+      extensionVersion: extensionVersion || null,
+      createdAt: new Date().toISOString(),
+      data: snapshot
+    };
+  }
+
+  /**
+   * Checks a parsed backup file. Returns a list of problems; an empty list means it can be restored.
+   *
+   * @param {Object} backup - Parsed backup file
+   * @param {number} currentSchemaVersion - Newest schema version this extension understands
+   * @returns {string[]} Validation errors
+   */
+  function validateBackup(backup, currentSchemaVersion) {
+    const errors = [];
+    if (!isPlainObject(backup)) {
+      return ['The file does not contain a JSON object.'];
+    }
+    if (backup.format !== BACKUP_FORMAT) {
+      errors.push(`Not a ModelMeter backup (format is "${backup.format}", expected "${BACKUP_FORMAT}").`);
+    }
+    if (backup.version !== BACKUP_FILE_VERSION) {
+      errors.push(`Unsupported backup file version ${backup.version}.`);
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0) {
+      errors.push('The backup has no valid schemaVersion.');
+    } else if (backup.schemaVersion > currentSchemaVersion) {
+      errors.push(`The backup was made by a newer ModelMeter (schema version ${backup.schemaVersion}, this version understands ${currentSchemaVersion}).`);
+    }
+    if (!isPlainObject(backup.data)) {
+      errors.push('The backup has no data object.');
+      return errors;
+    }
+
+    for (const [key, value] of Object.entries(backup.data)) {
+      if (isUsageEventsKey(key) && !Array.isArray(value)) {
+        errors.push(`${key} must be a list.`);
+      } else if ((key === 'modelData' || key.startsWith('modelData:')) && !isPlainObject(value)) {
+        errors.push(`${key} must be an object of models.`);
+      } else if (key === 'rateLimitHits' && !Array.isArray(value)) {
+        errors.push('rateLimitHits must be a list.');
+      } else if (key === 'accounts' && !isPlainObject(value)) {
+        errors.push('accounts must be an object.');
+      }
+    }
+    if (usageEventLists(backup.data).some(events =>
+        events.some(event => !isPlainObject(event) || typeof event.model !== 'string' || typeof event.timestamp !== 'number'))) {
+      errors.push('Every usage event needs a model and a numeric timestamp.');
+    }
+    return errors;
+  }
+
+  /**
+   * Short description of a backup's contents for the restore preview.
+   *
+   * @param {Object} data - Backup data (already migrated to the current schema)
+   * @returns {{accounts: number, models: number, events: number, settings: string[]}}
+   */
+  function summarizeBackupData(data) {
+    const modelDataKeys = Object.keys(data).filter(key => key.startsWith('modelData:'));
+    const models = new Set();
+    modelDataKeys.forEach(key => Object.keys(data[key] || {}).forEach(model => models.add(model)));
+    return {
+      accounts: isPlainObject(data.accounts) ? Object.keys(data.accounts).length : modelDataKeys.length,
+      models: models.size,
+      events: usageEventLists(data).reduce((total, events) => total + events.length, 0),
+      settings: Object.keys(data).filter(key => !key.includes(':') && !['usageEvents', 'rateLimitHits', 'accounts', 'activeAccountId', 'modelDataSchemaVersion'].includes(key))
+    };
+  }
+
+  function usageEventKey(event) {
+    return event.messageId
+      ? `${event.accountId}|${event.messageId}`
+      : `${event.accountId}|${event.model}|${event.timestamp}|${event.source}`;
+  }
+
+  // Union of two logs without duplicates, oldest first
+  function mergeLogs(currentLog, incomingLog, keyOf) {
+    const records = [...(currentLog || [])];
+    const seen = new Set(records.map(keyOf));
+    incomingLog.forEach(record => {
+      if (!seen.has(keyOf(record))) {
+        seen.add(keyOf(record));
+        records.push(record);
+      }
+    });
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Merges a (migrated) backup into the current storage contents and returns the result.
+   * - usage events and rate-limit hits: union of both logs, duplicates (same account and message) dropped
+   * - counters: per model, the entry of the newer window wins; within the same window the higher count
+   * - accounts: union, keeping the earliest first-seen and latest last-seen time
+   * - limit overrides: union per plan and model, current values win
+   * - everything else (plans, profile, active account, ...): current values win, missing ones are restored
+   *
+   * @param {Object} current - Current chrome.storage.local contents
+   * @param {Object} incoming - Backup data in the current schema
+   * @returns {Object} Merged contents
+   */
+  function mergeStorageSnapshots(current, incoming) {
+    const merged = { ...incoming, ...current };
+
+    Object.keys(incoming).filter(key => isUsageEventsKey(key) && Array.isArray(incoming[key])).forEach(key => {
+      merged[key] = mergeLogs(current[key], incoming[key], usageEventKey);
+    });
+    if (Array.isArray(incoming.rateLimitHits)) {
+      merged.rateLimitHits = mergeLogs(current.rateLimitHits, incoming.rateLimitHits, hit => `${hit.accountId}|${hit.model}|${hit.timestamp}`);
+    }
+
+    Object.keys(incoming).filter(key => key.startsWith('modelData:')).forEach(key => {
+      const modelData = { ...(incoming[key] || {}) };
+      for (const [model, info] of Object.entries(current[key] || {})) {
+        const other = modelData[model];
+        const currentStart = info.lastResetTimestamp || 0;
+        const otherStart = other ? other.lastResetTimestamp || 0 : -1;
+        if (!other || currentStart > otherStart || (currentStart === otherStart && (info.count || 0) >= (other.count || 0))) {
+          modelData[model] = info;
+        }
+      }
+      merged[key] = modelData;
+    });
+
+    if (isPlainObject(incoming.accounts)) {
+      const accounts = { ...incoming.accounts };
+      for (const [accountId, info] of Object.entries(current.accounts || {})) {
+        const other = accounts[accountId];
+        accounts[accountId] = other
+          ? { ...other, ...info, firstSeen: Math.min(other.firstSeen || Infinity, info.firstSeen || Infinity), lastSeen: Math.max(other.lastSeen || 0, info.lastSeen || 0) }
+          : info;
+      }
+      merged.accounts = accounts;
+    }
+
+    if (isPlainObject(incoming.limitOverrides)) {
+      const overrides = {};
+      for (const plan of new Set([...Object.keys(incoming.limitOverrides), ...Object.keys(current.limitOverrides || {})])) {
+        overrides[plan] = { ...(incoming.limitOverrides[plan] || {}), ...((current.limitOverrides || {})[plan] || {}) };
+      }
+      merged.limitOverrides = overrides;
+    }
+
+    return merged;
+  }
+
+  const backupUtils = {
+    BACKUP_FORMAT,
+    BACKUP_FILE_VERSION,
+    RESTORE_MODES,
+    buildBackup,
+    validateBackup,
+    summarizeBackupData,
+    mergeStorageSnapshots
+  };
+
+  if (typeof self !== 'undefined') {
+    self.BackupUtils = backupUtils;
+  } else if (typeof window !== 'undefined') {
+    window.BackupUtils = backupUtils;
+  } else if (typeof global !== 'undefined') {
+    global.BackupUtils = backupUtils;
+  }
+})();
@@ -9,9 +9,17 @@ let lastProcessedMessageId = null; // To avoid processing the same message multi
 let processedMessageIds = new Set(); // Track processed message IDs to avoid double counting
 let inPagePanel = null;
 let panelToggleButton = null; // This will be our existing bubbleElement
-let originalFetch = null; // To store the original fetch function
 let extensionContextValid = true; // Track extension context validity
 let reloadMessageShown = false; // Track if reload message is already shown
+let lastDetectedPlan = null; // Last plan read from the ChatGPT session, to avoid re-sending it
+let currentAccount = null; // { id, label, email, structure } of the account signed in to this tab
+let bubbleCountdownTimer = null; // Ticks the bubble's "resets in" text while the model is exhausted
+let bubbleDock = 'bottom-right'; // Where the bubble sits, a key of BUBBLE_DOCK_STYLES
+let bubbleDragState = null; // Pointer press on the bubble that may turn into a drag
+let bubbleJustDragged = false; // Swallows the click that ends a drag, so it doesn't toggle the panel
+let lastRelayedMessageAt = 0; // When page_interceptor.js last reported a completed assistant message
+let assistantIdsBeforeSend = null; // Assistant messages on the page when the user last sent a message
+let lastSessionRequestAt = 0; // When the session was last loaded for account and plan detection
 
 // Constants
 const API_ENDPOINTS = [
@@ -21,6 +29,14 @@ const API_ENDPOINTS = [
 ];
 // Add the specific endpoint known to use SSE for conversation details
 const SSE_ENDPOINT_FRAGMENT = '/backend-api/conversation'; // More general check for SSE endpoint
+// Tag of the window messages page_interceptor.js posts from the page's world (keep in sync with it)
+const PAGE_MESSAGE_SOURCE = 'modelmeter-page';
+// Tag of the window messages this script posts back to page_interceptor.js (keep in sync with it)
+const CONTENT_MESSAGE_SOURCE = 'modelmeter-content';
+// How long the PerformanceObserver fallback waits for the page interceptor's report of a reply
+const RELAY_GRACE_MS = 3000;
+// Navigations within ChatGPT reload the session at most this often
+const SESSION_RECHECK_MS = 60 * 1000;
 
 // Utility function to safely send messages to background script
 async function safeSendMessage(message, options = {}) {
@@ -296,8 +312,13 @@ async function initialize() {
     // Then set up all listeners and observers
     setupMessageListeners();
     setupVisibilityChangeDetection();
+    setupPageMessageRelay();
+    setupSendSnapshot();
     setupFetchInterception();
     setupOutsideClickHandler();
+    setupBubbleDockResizeHandler();
+    loadBubbleDock();
+    requestSessionPlanInfo();
     
     // Finally, start model detection and mark as initialized
     isModelMeterInitialized = true;
@@ -313,17 +334,15 @@ async function initialize() {
         }
       });
       
-      // Check for banners and reset expired model counters
+      // Check for banners (counter resets are scheduled by the background with chrome.alarms)
       checkAndParseRateLimitBanner();
-      checkAndResetExpiredModels();
       
       // Set up multiple timer intervals for different purposes
       
-      // 1. MAIN TIMER: Every 60 seconds - Full check (expiration, banners, health)
+      // 1. MAIN TIMER: Every 60 seconds - Full check (banners, health)
       setInterval(() => {
         console.log('ModelMeter: Running 60-second comprehensive check...');
         checkAndParseRateLimitBanner();
-        checkAndResetExpiredModels();
         performHealthCheck();
         
         // Always try to update UI, even if background communication fails
@@ -357,14 +376,6 @@ async function initialize() {
         });
       }, 15000);
       
-      // 4. CRITICAL EXPIRATION TIMER: Every 2 minutes - Independent expiration check
-      setInterval(() => {
-        console.log('ModelMeter: Running 2-minute critical expiration check...');
-        checkAndResetExpiredModels().catch(error => {
-          console.error('ModelMeter: Critical expiration check failed:', error);
-        });
-      }, 120000);
-      
       // Perform initial health check after 5 seconds
       setTimeout(() => {
         performHealthCheck();
@@ -471,8 +482,7 @@ function setupFetchInterception() {
   try {
     console.log('ModelMeter Debug: 🚧 Setting up multiple API interception methods...');
     
-    // METHOD 1: Override fetch API
-    setupFetchOverride();
+    // METHOD 1: fetch is wrapped in the page's own world by page_interceptor.js (see setupPageMessageRelay)
     
     // METHOD 2: Override XMLHttpRequest
     setupXhrOverride();
@@ -486,60 +496,247 @@ function setupFetchInterception() {
   }
 }
 
-// METHOD 1: Override fetch API
-function setupFetchOverride() {
-  try {
-    originalFetch = window.fetch;
-    if (!originalFetch) {
-      console.error("ModelMeter Debug: ⚠️ window.fetch is undefined! Can't intercept fetch.");
+// True for the endpoint that sends a message and streams the reply (not /prepare or other sub-paths)
+function isConversationSendUrl(url) {
+  const path = url.split('?')[0];
+  return API_ENDPOINTS.some(endpoint => url.startsWith(endpoint)) &&
+         (path.endsWith('/backend-api/f/conversation') || path.endsWith('/backend-api/conversation'));
+}
+
+// Listens for what page_interceptor.js reports from the page's world: conversation requests,
+// completed assistant messages read from the reply stream, account responses, navigations and the
+// pre-send checks it waits on before a message goes out
+function setupPageMessageRelay() {
+  window.addEventListener('message', event => {
+    if (event.source !== window || !event.data || event.data.source !== PAGE_MESSAGE_SOURCE) return;
+    const message = event.data;
+    try {
+      if (message.type === 'apiRequest' && message.request) {
+        handleApiRequest(message.url, message.request);
+      } else if (message.type === 'assistantMessage' && message.messageId) {
+        lastRelayedMessageAt = Date.now();
+        completeAssistantMessage(message);
+      } else if (message.type === 'streamEnded') {
+        handleStreamEnded(message);
+      } else if (message.type === 'planInfo' && message.data) {
+        handlePlanInfoResponse(message.url, message.data);
+      } else if (message.type === 'navigated') {
+        requestSessionPlanInfo();
+      } else if (message.type === 'preSendCheck' && message.requestId) {
+        handlePreSendCheck(message);
+      }
+    } catch (error) {
+      console.error('ModelMeter Debug: ❌ Error handling message from the page interceptor:', error);
+    }
+  });
+  console.log('ModelMeter Debug: ✅ Listening for the page interceptor');
+}
+
+function postToPageInterceptor(type, payload) {
+  window.postMessage({ source: CONTENT_MESSAGE_SOURCE, type: type, ...payload }, window.location.origin);
+}
+
+// page_interceptor.js holds a message until this answers: an acknowledgement right away, a note when
+// the confirmation overlay is shown (so it waits for the user without a time limit), then the decision
+async function handlePreSendCheck({ requestId, model }) {
+  postToPageInterceptor('preSendAck', { requestId: requestId });
+  const decision = await confirmSendIfNearLimit(model, () => postToPageInterceptor('preSendShown', { requestId: requestId }));
+  postToPageInterceptor('preSendDecision', { requestId: requestId, decision: decision });
+}
+
+// True for the model switcher's "Auto" choice, where ChatGPT picks the model per message
+function isAutoModel(modelSlug) {
+  return typeof modelSlug === 'string' && modelSlug.toLowerCase() === 'auto';
+}
+
+// A reply stream closed without an assistant message in it (no events at all, or a format the
+// interceptor doesn't understand). Auto requests depend on the stream for the routed model, so say
+// so, and count the rendered reply instead.
+function handleStreamEnded({ requestedModel, eventCount, assistantMessages }) {
+  if (assistantMessages > 0) return;
+  const autoNote = isAutoModel(requestedModel) ? ' The Auto-routed model will be read from the page.' : '';
+  console.warn(`ModelMeter Debug: ⚠️ Conversation stream ended with ${eventCount} event(s) and no assistant message.${autoNote}`);
+  countLastRenderedAssistantMessage(isAutoModel(requestedModel));
+}
+
+// Counts an assistant message reported by the page interceptor exactly once, attributed to the model
+// that actually generated it (for "Auto" requests this is the routed model, not "auto")
+async function completeAssistantMessage({ messageId, model: streamModel, requestedModel, conversationId }) {
+  if (processedMessageIds.has(messageId)) {
+    console.log(`ModelMeter Debug: 🚫 Message ${messageId} already counted`);
+    return;
+  }
+  processedMessageIds.add(messageId);
+
+  const autoRouted = isAutoModel(requestedModel);
+  let model = streamModel && !isAutoModel(streamModel) ? streamModel : null;
+  if (!model && autoRouted) {
+    console.warn(`ModelMeter Debug: ⚠️ The stream of Auto message ${messageId} named no model, reading it from the page`);
+  }
+  if (!model) {
+    model = autoRouted ? await resolveModelFromRenderedMessage(messageId) : requestedModel;
+  }
+  if (!model) {
+    console.warn(`ModelMeter Debug: ⚠️ Could not resolve the model of message ${messageId}, not counting it`);
+    processedMessageIds.delete(messageId);
+    return;
+  }
+
+  console.log(`ModelMeter Debug: ➕ Assistant message ${messageId} completed with ${model}${autoRouted ? ' (Auto-routed)' : ''} (conversation ${conversationId})`);
+  if (model !== currentModel) {
+    currentModel = model;
+  }
+  incrementCounterInBackground(model, messageId, autoRouted, conversationId);
+}
+
+// Remembers which assistant messages are on the page whenever the user sends a message, so the
+// fallback below can tell the new reply from the conversation's history
+function setupSendSnapshot() {
+  const snapshot = () => {
+    assistantIdsBeforeSend = new Set(Array.from(
+      document.querySelectorAll('div[data-message-author-role="assistant"][data-message-id]'),
+      messageDiv => messageDiv.getAttribute('data-message-id')
+    ));
+  };
+  document.addEventListener('submit', snapshot, true);
+  document.addEventListener('click', event => {
+    if (event.target.closest && event.target.closest('button[data-testid="send-button"]')) snapshot();
+  }, true);
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Enter' && !event.shiftKey && !event.isComposing &&
+        event.target.closest && event.target.closest('#prompt-textarea, form')) {
+      snapshot();
+    }
+  }, true);
+}
+
+// Fallback for when the page interceptor reported nothing for a conversation request: counts the
+// newest rendered assistant message, if it appeared since the user last sent a message. Its message
+// id keeps it from being counted twice, here and in the background.
+async function countLastRenderedAssistantMessage(autoRouted = false, attempts = 10) {
+  if (!assistantIdsBeforeSend) {
+    console.warn('ModelMeter Debug: ⚠️ No send was seen on this page, the fallback cannot tell the new reply apart');
+    return;
+  }
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const messageDivs = document.querySelectorAll('div[data-message-author-role="assistant"][data-message-id]');
+    const lastMessageDiv = messageDivs[messageDivs.length - 1];
+    const messageId = lastMessageDiv && lastMessageDiv.getAttribute('data-message-id');
+    if (messageId && processedMessageIds.has(messageId)) return;
+    const modelSlug = lastMessageDiv && lastMessageDiv.getAttribute('data-message-model-slug');
+    if (messageId && !assistantIdsBeforeSend.has(messageId) && modelSlug && !isAutoModel(modelSlug)) {
+      processedMessageIds.add(messageId);
+      console.log(`ModelMeter Debug: ➕ Counting rendered message ${messageId} (${modelSlug}) without the stream`);
+      incrementCounterInBackground(modelSlug, messageId, autoRouted, null, 'dom');
       return;
     }
-    
-    window.fetch = async function(...args) {
-      const resource = args[0];
-      const options = args[1] || {};
-      const url = resource instanceof Request ? resource.url : String(resource);
-      console.log(`ModelMeter Debug: 🔎 Fetch called for URL: ${url}`); // Keep basic log
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  console.warn('ModelMeter Debug: ⚠️ No new assistant message found to count');
+}
 
-      // Request body processing (keep this if still useful for other debugging or future use)
-      try {
-        if (API_ENDPOINTS.some(endpoint => url.startsWith(endpoint))) {
-          console.log(`ModelMeter Debug: 🔍 API Request Detected (by original override) -> ${url}`);
-          let bodyContent = null;
-          let requestBody = null;
-          if (resource instanceof Request && resource.body) {
-            try {
-              const clonedRequest = resource.clone();
-              const text = await clonedRequest.text();
-              bodyContent = text;
-              try { requestBody = JSON.parse(text); } catch(e) { console.warn('ModelMeter Debug: ⚠️ Failed to parse Request body JSON (original override):', e); }
-            } catch(e) { console.error('ModelMeter Debug: ❌ Error reading Request body (original override):', e); }
-          }
-          if (!requestBody && options && options.body) {
-            bodyContent = typeof options.body === 'string' ? options.body : 
-                          options.body instanceof URLSearchParams ? options.body.toString() : null;          
-            if (bodyContent) {
-              try { requestBody = JSON.parse(bodyContent); } catch(e) { console.warn('ModelMeter Debug: ⚠️ Failed to parse options body JSON (original override):', e); }
-            }
-          }
-          if (requestBody) {
-            // console.log('ModelMeter Debug: 📄 Request Body (original override):', requestBody); // Can be verbose
-            handleApiRequest(url, requestBody); // This sends model info to background for logging
-          }
-        }
-      } catch (e) {
-        console.error('ModelMeter Debug: ❌ Error in fetch override request handling (original override):', e);
+// Reads data-message-model-slug from the rendered assistant message, waiting for the page to render it
+async function resolveModelFromRenderedMessage(messageId, attempts = 10) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const messageDiv = document.querySelector(`div[data-message-author-role="assistant"][data-message-id="${CSS.escape(messageId)}"]`);
+    const modelSlug = messageDiv && messageDiv.getAttribute('data-message-model-slug');
+    if (modelSlug && !isAutoModel(modelSlug)) {
+      console.log(`ModelMeter Debug: ✨ Resolved message ${messageId} to ${modelSlug} from the page`);
+      return modelSlug;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  return null;
+}
+
+// Extracts the account and plan from a session or accounts response and reports them to the background
+async function handlePlanInfoResponse(url, data) {
+  try {
+    if (!data || typeof data !== 'object') return;
+
+    let rawPlan = null;
+    if (data.account) {
+      // /api/auth/session
+      rawPlan = data.account.planType || data.account.plan_type;
+      await handleSessionAccount(data);
+    } else if (data.accounts) {
+      // /backend-api/accounts/check: the signed-in account if known, otherwise the one ChatGPT lists first
+      const accountIds = data.account_ordering && data.account_ordering.length > 0
+        ? data.account_ordering
+        : Object.keys(data.accounts);
+      const accountInfo = (currentAccount && data.accounts[currentAccount.id]) ||
+                          data.accounts[accountIds.find(id => data.accounts[id])];
+      if (accountInfo) {
+        rawPlan = (accountInfo.account && accountInfo.account.plan_type) ||
+                  (accountInfo.entitlement && accountInfo.entitlement.subscription_plan);
       }
-      
-      // Execute and return the original fetch request promise
-      // NO LONGER ATTEMPTING TO PROCESS RESPONSE STREAM HERE
-      return originalFetch.apply(this, args);
-    };
-    
-    console.log('ModelMeter Debug: ✅ Original Fetch override (request logging only) installed.');
+    }
+
+    const plan = window.LimitsRegistry.normalizePlanName(rawPlan);
+    if (!plan) {
+      if (rawPlan) console.warn(`ModelMeter Debug: ⚠️ Unrecognised plan "${rawPlan}" from ${url}`);
+      return;
+    }
+    if (plan === lastDetectedPlan) return;
+
+    console.log(`ModelMeter Debug: 🪪 Detected plan ${plan} (from "${rawPlan}") via ${url}`);
+    lastDetectedPlan = plan;
+    const response = await safeSendMessage({ action: 'setUserPlan', plan: plan, source: 'detected', accountId: currentAccount && currentAccount.id });
+    if (response && response.changed && inPagePanel && inPagePanel.style.display === 'block') {
+      updateInPagePanelData();
+    }
   } catch (error) {
-    console.error('ModelMeter Debug: ❌ Failed to set up original fetch override:', error);
-    if (originalFetch) window.fetch = originalFetch; // Restore on error
+    console.error('ModelMeter Debug: ❌ Error handling account info response:', error);
+  }
+}
+
+// Identifies the signed-in account from /api/auth/session. Workspaces (Team/Enterprise) get their own
+// account id, so a personal and a work account in the same browser keep separate counts and plans.
+async function handleSessionAccount(session) {
+  const accountId = session.account.id || (session.user && session.user.id);
+  if (!accountId || (currentAccount && currentAccount.id === accountId)) return;
+
+  const user = session.user || {};
+  const structure = session.account.structure || null;
+  const label = (user.email || user.name || accountId) + (structure === 'workspace' ? ' (workspace)' : '');
+  currentAccount = { id: accountId, label: label, email: user.email || null, structure: structure };
+  lastDetectedPlan = null; // Report the plan again, now for this account
+  console.log(`ModelMeter Debug: 👤 Signed in as ${label}`);
+
+  const response = await safeSendMessage({ action: 'setActiveAccount', account: currentAccount });
+  if (response && (response.changed || response.adopted)) {
+    updateAllUIComponents();
+  }
+  updateAccountIndicators();
+}
+
+// Shows the active account in the bubble tooltip and the panel
+function updateAccountIndicators() {
+  const accountLabel = currentAccount ? currentAccount.label : 'Not identified yet';
+  if (bubbleElement) {
+    bubbleElement.title = `ModelMeter · ${accountLabel}`;
+  }
+  const accountEl = inPagePanel && inPagePanel.querySelector('#inpage-account');
+  if (accountEl) {
+    accountEl.textContent = `Account: ${accountLabel}`;
+  }
+}
+
+// Loads the session and detects the account and plan from it, so they are known even when the page
+// fetched the session before ModelMeter was initialized. Runs on load and (throttled) on navigation.
+async function requestSessionPlanInfo() {
+  const now = Date.now();
+  if (now - lastSessionRequestAt < SESSION_RECHECK_MS) return;
+  lastSessionRequestAt = now;
+  try {
+    const response = await fetch('/api/auth/session', { credentials: 'include' });
+    if (!response.ok) {
+      console.warn(`ModelMeter Debug: ⚠️ Session request for plan detection failed (${response.status})`);
+      return;
+    }
+    await handlePlanInfoResponse('/api/auth/session', await response.json());
+  } catch (error) {
+    console.warn('ModelMeter Debug: ⚠️ Could not load session for plan detection:', error);
   }
 }
 
@@ -629,75 +826,22 @@ function setupPerformanceObserver() {
             if (typeof url === 'string' && API_ENDPOINTS.some(endpoint => url.startsWith(endpoint))) {
               console.log(`ModelMeter Debug: 🔍 Performance Entry Detected -> ${entry.initiatorType} request to ${url}`);
               
-              // Check if this is an actual conversation endpoint (meaning a message was sent)
-              // Explicitly exclude preparation endpoints and ensure we're targeting the main conversation endpoint
-              const isExactConversationEndpoint = 
-                url.endsWith('/backend-api/f/conversation') || 
-                url.endsWith('/backend-api/conversation');
-
-              if (isExactConversationEndpoint && !url.includes('/prepare')) { // Keep /prepare exclusion as a safeguard
-                console.log(`ModelMeter Debug: 🎯 Exact conversation API call detected via PerformanceObserver: ${url}`);
-                
-                // Create a timer to check regularly if the response has completed
-                let waitCount = 0;
-                const checkForCompletion = () => {
-                  waitCount++;
-                  console.log(`ModelMeter Debug: ⏱️ Checking for completed response (attempt ${waitCount})`);
-                  
-                  // First check if we can detect the model from DOM
-                  const modelUpdated = detectCurrentModel();
-                  console.log(`ModelMeter Debug: 🔄 Model detection result: ${modelUpdated ? 'Updated' : 'Unchanged'}, current model: ${currentModel || 'Unknown'}`);
-                  
-                  // Check if we have what we need to increment
-                  if (currentModel) {
-                    const conversationId = `perf_obs_${Date.now()}`; // Generate a pseudo-ID for tracking
-                    console.log(`ModelMeter Debug: ➕ Incrementing counter for detected model: ${currentModel} (ID: ${conversationId})`);
-                    
-                    // Only increment if we haven't already processed this in the last few seconds
-                    const now = Date.now();
-                    const recentIncrements = Array.from(processedMessageIds)
-                      .filter(id => id.startsWith('perf_obs_'))
-                      .map(id => parseInt(id.split('_')[2]));
-                    
-                    const mostRecentIncrement = recentIncrements.length > 0 ? 
-                      Math.max(...recentIncrements) : 0;
-                    
-                    if (now - mostRecentIncrement > 5000) { // At least 5 seconds since last increment
-                      incrementCounterInBackground(currentModel, conversationId);
-                      processedMessageIds.add(conversationId);
-                      
-                      // Update all UI components together using our helper
-                      updateAllUIComponents();
-                      
-                      return true; // Success - we're done
-                    } else {
-                      console.log(`ModelMeter Debug: 🚫 Skipping increment because another was triggered recently (${(now - mostRecentIncrement)/1000}s ago)`);
-                      return true; // Consider this a success case too
-                    }
-                  }
-                  
-                  // If we don't have the model yet but haven't tried too many times, try again
-                  if (waitCount < 10) { // Try up to 10 times (with 1s between = up to 10s total)
-                    console.log(`ModelMeter Debug: ⏳ Model not yet available, will check again in 1s...`);
-                    setTimeout(checkForCompletion, 1000); // Check again in 1 second
-                    return false; // Not complete yet
-                  } else {
-                    console.log(`ModelMeter Debug: ❌ Gave up waiting for model after ${waitCount} attempts`);
-                    return true; // Give up
-                  }
-                };
-                
-                // Start the checking process
-                console.log(`ModelMeter Debug: ⏱️ Starting to check for completed response`);
-                setTimeout(checkForCompletion, 1000); // Start checking after 1s
-              } else {
-                // This is a non-conversation endpoint, a prepare endpoint, or a conversation sub-path
-                console.log(`ModelMeter Debug: 🔍 Non-incrementable or sub-path endpoint detected: ${url}. Updating model info only.`);
+              // Counting happens from the reply stream read by page_interceptor.js. Resource entries of a
+              // streamed request are only added once its response has ended, so if no reply was reported
+              // shortly after that, count the rendered message instead.
+              if (isConversationSendUrl(url)) {
+                const requestStartedAt = performance.timeOrigin + entry.startTime;
                 setTimeout(() => {
-                  detectCurrentModel();
-                  updateUI();
-                }, 1000);
+                  if (lastRelayedMessageAt < requestStartedAt) {
+                    console.warn('ModelMeter Debug: ⚠️ The page interceptor reported no reply for this request, using the rendered message');
+                    countLastRenderedAssistantMessage();
+                  }
+                }, RELAY_GRACE_MS);
               }
+              setTimeout(() => {
+                detectCurrentModel();
+                updateUI();
+              }, 1000);
             }
           }
         } catch (e) {
@@ -708,21 +852,28 @@ function setupPerformanceObserver() {
     
     // Start observing resource timing entries
     observer.observe({ entryTypes: ['resource'] });
-    console.log('ModelMeter Debug: ✅ PerformanceObserver set up successfully (with enhanced increment logic)');
+    console.log('ModelMeter Debug: ✅ PerformanceObserver set up successfully (model detection, fallback counting)');
   } catch (error) {
     console.error('ModelMeter Debug: ❌ Failed to set up PerformanceObserver:', error);
   }
 }
 
 // Helper function to send increment message to background
-function incrementCounterInBackground(modelSlug, messageId) {
-   console.log(`ModelMeter Content: Sending increment request for model: ${modelSlug}, messageId: ${messageId}`);
+function incrementCounterInBackground(modelSlug, messageId, autoRouted = false, conversationId = null, source = 'sse') {
+   console.log(`ModelMeter Content: Sending increment request for model: ${modelSlug}, messageId: ${messageId}${autoRouted ? ' (Auto-routed)' : ''}`);
    
    safeSendMessage({
        action: 'incrementModelCount',
-       modelFullName: modelSlug // background expects modelFullName
+       modelFullName: modelSlug, // background expects modelFullName
+       messageId: messageId,
+       conversationId: conversationId,
+       source: source,
+       autoRouted: autoRouted,
+       accountId: currentAccount ? currentAccount.id : undefined
    }, { suppressErrors: true }).then(response => {
-       if (response && response.status === 'success') {
+       if (response && response.status === 'success' && response.duplicate) {
+           console.log(`ModelMeter Content: Message ${messageId} was already counted, background skipped it`);
+       } else if (response && response.status === 'success') {
            console.log(`ModelMeter Content: Background confirmed increment for model: ${modelSlug}`);
            // Immediately update all UI components to keep in sync
            updateAllUIComponents();
@@ -753,32 +904,26 @@ function handleApiRequest(url, requestData) {
       return;
     }
     
-    let modelToTrack = requestData.model;
+    const modelToTrack = requestData.model;
     const actionType = requestData.action || 'unknown';
     
     console.log(`ModelMeter Debug: 🤖 API Request - Model: ${modelToTrack}, Action: ${actionType}`);
     
-    // If model is "auto", check the last message for actual model used
-    if (modelToTrack.toLowerCase() === 'auto') {
-      console.log('ModelMeter Debug: 🔄 "Auto" model detected, looking for actual model...');
-      const assistantMessages = document.querySelectorAll('div[data-message-author-role="assistant"][data-message-id]');
-      if (assistantMessages.length > 0) {
-        const lastMessage = assistantMessages[assistantMessageContents.length - 1];
-        const actualModel = lastMessage.getAttribute('data-message-model-slug');
-        if (actualModel) {
-          console.log(`ModelMeter Debug: ✨ "Auto" resolved to actual model: ${actualModel}`);
-          modelToTrack = actualModel;
-        }
-      }
+    // "Auto" is only known once the reply has been generated; completeAssistantMessage() resolves it
+    // from the stream metadata (or the rendered message) and attributes the count to the real model
+    const isAutoRouted = isAutoModel(modelToTrack);
+    if (isAutoRouted) {
+      console.log('ModelMeter Debug: 🔄 "Auto" model selected, the actual model is resolved when the reply completes');
     }
     
-    // Send to background script for counting
+    // Send to background script for logging
     chrome.runtime.sendMessage({
       action: 'apiRequestDetected',
       modelData: {
         model: modelToTrack,
         action: actionType,
-        url: url
+        url: url,
+        autoRouted: isAutoRouted
       }
     }).then(response => {
       console.log('ModelMeter Debug: ✅ Background script response:', response);
@@ -786,8 +931,8 @@ function handleApiRequest(url, requestData) {
       console.error('ModelMeter Debug: ❌ Error sending API data to background:', err);
     });
     
-    // Update current model
-    if (modelToTrack !== currentModel) {
+    // Update current model (an Auto request keeps the last resolved model until its reply completes)
+    if (!isAutoRouted && modelToTrack !== currentModel) {
       console.log(`ModelMeter Debug: 🔄 Updating currentModel from ${currentModel} to ${modelToTrack}`);
       currentModel = modelToTrack;
       updateUI();
@@ -895,8 +1040,6 @@ function createBubbleUI() {
     bubbleElement.textContent = 'ModelMeter'; // Will be updated by updateUI
     bubbleElement.style.cssText = `
       position: fixed !important; 
-      bottom: 80px !important; 
-      right: 20px !important; 
       padding: 10px 15px !important;
       background-color: #0078D7 !important; 
       color: white !important; 
@@ -923,6 +1066,10 @@ function createBubbleUI() {
     
          // Add click handler for panel toggle
      bubbleElement.addEventListener('click', () => {
+       if (bubbleJustDragged) {
+         bubbleJustDragged = false;
+         return;
+       }
        console.log('ModelMeter Content: Bubble clicked');
        
        // Ensure panel exists, create it if it doesn't
@@ -952,6 +1099,8 @@ function createBubbleUI() {
     document.body.appendChild(bubbleElement);
     panelToggleButton = bubbleElement;
     uiInitialized = true;
+    applyBubbleDock(bubbleDock);
+    setupBubbleDragging();
     
     // Set up a MutationObserver to detect if the bubble gets removed
     setupBubbleProtection();
@@ -965,6 +1114,124 @@ function createBubbleUI() {
   }
 }
 
+// Fixed-position offsets of the bubble and of the panel opening next to it, per dock. The top corners
+// stay below ChatGPT's header bar; 'header' puts the bubble in the middle of it.
+const BUBBLE_DOCK_STYLES = {
+  'bottom-right': { bubble: { bottom: '80px', right: '20px' }, panel: { bottom: '130px', right: '20px' } },
+  'bottom-left': { bubble: { bottom: '80px', left: '20px' }, panel: { bottom: '130px', left: '20px' } },
+  'top-right': { bubble: { top: '64px', right: '20px' }, panel: { top: '114px', right: '20px' } },
+  'top-left': { bubble: { top: '64px', left: '20px' }, panel: { top: '114px', left: '20px' } },
+  'header': { bubble: { top: '6px', left: '50%', transform: 'translateX(-50%)' }, panel: { top: '56px', left: '50%', transform: 'translateX(-50%)' } }
+};
+const DOCK_STYLE_PROPERTIES = ['top', 'right', 'bottom', 'left', 'transform'];
+const BUBBLE_DRAG_THRESHOLD = 5; // Pixels the pointer has to move before a press becomes a drag
+
+// Docks are saved per window size, rounded to 100px so a slightly resized window keeps its dock
+function getWindowSizeKey() {
+  return `${Math.round(window.innerWidth / 100) * 100}x${Math.round(window.innerHeight / 100) * 100}`;
+}
+
+function applyDockStyles(element, styles) {
+  DOCK_STYLE_PROPERTIES.forEach(property => {
+    element.style.setProperty(property, styles[property] || (property === 'transform' ? 'none' : 'auto'), 'important');
+  });
+}
+
+function applyBubbleDock(dock) {
+  bubbleDock = BUBBLE_DOCK_STYLES[dock] ? dock : 'bottom-right';
+  if (bubbleElement) applyDockStyles(bubbleElement, BUBBLE_DOCK_STYLES[bubbleDock].bubble);
+  if (inPagePanel) applyDockStyles(inPagePanel, BUBBLE_DOCK_STYLES[bubbleDock].panel);
+}
+
+// Moves the bubble to the dock saved for the current window size (bottom right if there is none)
+async function loadBubbleDock() {
+  const response = await safeSendMessage({ action: 'getBubbleDock', windowSize: getWindowSizeKey() }, { suppressErrors: true });
+  applyBubbleDock(response && response.status === 'success' && response.dock ? response.dock : 'bottom-right');
+}
+
+function setupBubbleDockResizeHandler() {
+  let resizeTimer = null;
+  let lastWindowSize = getWindowSizeKey();
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+      if (getWindowSizeKey() === lastWindowSize) return;
+      lastWindowSize = getWindowSizeKey();
+      loadBubbleDock();
+    }, 300);
+  });
+}
+
+// Dock whose bubble position is closest to where the bubble was dropped
+function findNearestDock(x, y) {
+  const anchors = {
+    'bottom-right': [window.innerWidth - 20, window.innerHeight - 80],
+    'bottom-left': [20, window.innerHeight - 80],
+    'top-right': [window.innerWidth - 20, 64],
+    'top-left': [20, 64],
+    'header': [window.innerWidth / 2, 6]
+  };
+  let nearestDock = 'bottom-right';
+  let nearestDistance = Infinity;
+  for (const [dock, [anchorX, anchorY]] of Object.entries(anchors)) {
+    const distance = Math.hypot(x - anchorX, y - anchorY);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestDock = dock;
+    }
+  }
+  return nearestDock;
+}
+
+// The bubble follows the pointer while dragged and snaps to the nearest dock when released
+function setupBubbleDragging() {
+  bubbleElement.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    const rect = bubbleElement.getBoundingClientRect();
+    bubbleDragState = {
+      startX: event.clientX,
+      startY: event.clientY,
+      offsetX: event.clientX - rect.left,
+      offsetY: event.clientY - rect.top,
+      dragging: false
+    };
+    bubbleElement.setPointerCapture(event.pointerId);
+  });
+
+  bubbleElement.addEventListener('pointermove', (event) => {
+    if (!bubbleDragState) return;
+    if (!bubbleDragState.dragging) {
+      if (Math.hypot(event.clientX - bubbleDragState.startX, event.clientY - bubbleDragState.startY) < BUBBLE_DRAG_THRESHOLD) return;
+      bubbleDragState.dragging = true;
+      bubbleElement.style.setProperty('cursor', 'grabbing', 'important');
+    }
+    applyDockStyles(bubbleElement, {
+      left: `${event.clientX - bubbleDragState.offsetX}px`,
+      top: `${event.clientY - bubbleDragState.offsetY}px`
+    });
+  });
+
+  bubbleElement.addEventListener('pointerup', (event) => {
+    const dragState = bubbleDragState;
+    bubbleDragState = null;
+    if (!dragState || !dragState.dragging) return;
+    bubbleJustDragged = true;
+    bubbleElement.style.setProperty('cursor', 'pointer', 'important');
+    const dock = findNearestDock(event.clientX, event.clientY);
+    applyBubbleDock(dock);
+    console.log(`ModelMeter Content: Bubble docked ${dock}`);
+    safeSendMessage({ action: 'setBubbleDock', windowSize: getWindowSizeKey(), dock: dock }, { suppressErrors: true });
+  });
+
+  bubbleElement.addEventListener('pointercancel', () => {
+    if (bubbleDragState && bubbleDragState.dragging) {
+      bubbleElement.style.setProperty('cursor', 'pointer', 'important');
+      applyBubbleDock(bubbleDock);
+    }
+    bubbleDragState = null;
+  });
+}
+
 // Create the In-Page UI Panel
 function createInPageUI() {
   // Clean up any existing panel elements first
@@ -989,7 +1256,7 @@ function createInPageUI() {
   inPagePanel = document.createElement('div');
   inPagePanel.id = 'modelmeter-inpage-panel';
   inPagePanel.style.cssText = `
-    position: fixed; bottom: 130px; right: 20px;
+    position: fixed; max-height: calc(100vh - 150px); overflow-y: auto;
     width: 380px; background-color: white; border: 1px solid #ccc; border-radius: 8px;
     box-shadow: 0 4px 12px rgba(0,0,0,0.15); z-index: 2147483645;
     padding: 15px; font-family: Arial, sans-serif; color: #333; display: none;
@@ -1000,37 +1267,73 @@ function createInPageUI() {
   const planSelectionHTML = `
     <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:15px; padding-bottom:10px; border-bottom:1px solid #eee;">
       <span style="font-weight:bold;">User Plan:</span>
-      <div class="modelmeter-plan-selection-container" style="display:flex; align-items:center; gap: 8px;">
-        <span id="user-plan-label-free" class="plan-label" style="cursor:pointer; padding: 6px 12px; border-radius: 20px; border: 1px solid #dee2e6; background-color: #f8f9fa;">Free</span>
-        <span id="user-plan-label-plus" class="plan-label" style="cursor:pointer; padding: 6px 12px; border-radius: 20px; border: 1px solid #dee2e6; background-color: #f8f9fa;">Plus</span>
-      </div>
+      <div id="user-plan-labels" class="modelmeter-plan-selection-container" style="display:flex; flex-wrap:wrap; justify-content:flex-end; align-items:center; gap: 6px;"></div>
     </div>
+    <div id="user-plan-source" style="font-size:11px; color:#6c757d; text-align:right; margin-top:-10px; margin-bottom:10px;"></div>
   `;
   // --- END NEW ---
 
   inPagePanel.innerHTML = `
-    <h3 style="margin-top:0; margin-bottom:10px; font-size:16px; border-bottom:1px solid #eee; padding-bottom:5px;">ModelMeter Details</h3>
+    <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px; border-bottom:1px solid #eee; padding-bottom:5px;">
+      <h3 style="margin:0; font-size:16px;">ModelMeter Details</h3>
+      <button id="inpage-dashboard-button" title="Open the full-page dashboard" style="padding:3px 8px; font-size:11px; background:#0078D7; color:white; border:none; border-radius:4px; cursor:pointer;">Dashboard</button>
+    </div>
+    <div id="inpage-account" style="font-size:12px; color:#555; margin-bottom:10px;"></div>
     ${planSelectionHTML} 
     <div id="inpage-status" style="font-style:italic; font-size:12px; margin-bottom:10px;">Loading...</div>
     <div id="inpage-counters-title" style="font-weight:bold; margin-bottom:5px;">Message Counts:</div>
     <div id="inpage-counters" style="font-size:12px;">
       <div class="no-data">Loading counts...</div>
     </div>
+    <div id="inpage-budgets" style="display:none; margin-top:12px; padding-top:10px; border-top:1px solid #eee; font-size:12px;">
+      <div style="font-weight:bold; margin-bottom:6px;">Budgets:</div>
+      <div id="inpage-budgets-list"></div>
+    </div>
+    <div id="inpage-export" style="margin-top:12px; padding-top:10px; border-top:1px solid #eee; font-size:12px;">
+      <div style="font-weight:bold; margin-bottom:6px;">Export Usage:</div>
+      <div style="display:flex; align-items:center; gap:6px; margin-bottom:6px;">
+        <input type="date" id="inpage-export-since" style="flex-grow:1; padding:3px; font-size:12px;">
+        <span>to</span>
+        <input type="date" id="inpage-export-until" style="flex-grow:1; padding:3px; font-size:12px;">
+      </div>
+      <div style="display:flex; align-items:center; gap:6px;">
+        <select id="inpage-export-kind" style="flex-grow:1; padding:3px; font-size:12px;">
+          <option value="csv-events">CSV, one row per message</option>
+          <option value="csv-windows">CSV, one row per quota window</option>
+          <option value="json">JSON, messages and windows</option>
+        </select>
+        <button id="inpage-export-button" style="padding:4px 10px; font-size:12px; background:#0078D7; color:white; border:none; border-radius:4px; cursor:pointer;">Export</button>
+      </div>
+      <div id="inpage-export-status" style="font-style:italic; margin-top:4px; min-height:14px;"></div>
+    </div>
   `;
   document.body.appendChild(inPagePanel);
+  applyBubbleDock(bubbleDock); // Opens next to the bubble
   console.log('ModelMeter Content: In-page panel UI created with plan selection labels');
 
   // Create the configuration modal
   createConfigModal();
 
+  // Usage export defaults to the current month so far
+  const today = new Date();
+  const toDateInputValue = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  inPagePanel.querySelector('#inpage-export-since').value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1));
+  inPagePanel.querySelector('#inpage-export-until').value = toDateInputValue(today);
+  inPagePanel.querySelector('#inpage-export-button').addEventListener('click', exportUsageHistoryFromPanel);
+
+  // Extension pages can't be opened from the page itself, the background opens the tab
+  inPagePanel.querySelector('#inpage-dashboard-button').addEventListener('click', () => {
+    safeSendMessage({ action: 'openDashboard', accountId: currentAccount ? currentAccount.id : undefined });
+  });
+
   // --- NEW: Event Listeners for User Plan Labels ---
-  const planLabelFree = inPagePanel.querySelector('#user-plan-label-free');
-  const planLabelPlus = inPagePanel.querySelector('#user-plan-label-plus');
+  // Labels are generated per plan by updatePlanLabelStyles, so clicks are delegated to the container
+  const planLabelsContainer = inPagePanel.querySelector('#user-plan-labels');
 
   async function handlePlanSelection(selectedPlan) {
     console.log(`ModelMeter Content: User plan label clicked: ${selectedPlan}`);
     try {
-      await chrome.runtime.sendMessage({ action: 'setUserPlan', plan: selectedPlan });
+      await chrome.runtime.sendMessage({ action: 'setUserPlan', plan: selectedPlan, source: 'manual', accountId: currentAccount ? currentAccount.id : undefined });
       // Update styles immediately for responsiveness
       updatePlanLabelStyles(selectedPlan);
       // Optionally, refresh other panel data if needed
@@ -1046,17 +1349,23 @@ function createInPageUI() {
     }
   }
 
-  if (planLabelFree) {
-    planLabelFree.addEventListener('click', () => {
-      handlePlanSelection('FREE').then(() => {
-        // Refresh panel data after plan change
-        updateInPagePanelData();
-      });
+  // "Use detected plan" link in the plan source line drops the manual choice
+  const planSourceEl = inPagePanel.querySelector('#user-plan-source');
+  if (planSourceEl) {
+    planSourceEl.addEventListener('click', async (event) => {
+      const useDetectedLink = event.target.closest('.use-detected-plan');
+      if (!useDetectedLink) return;
+      event.preventDefault();
+      await safeSendMessage({ action: 'setUserPlan', source: 'revert-to-detected', accountId: currentAccount && currentAccount.id });
+      updateInPagePanelData();
     });
   }
-  if (planLabelPlus) {
-    planLabelPlus.addEventListener('click', () => {
-      handlePlanSelection('PLUS').then(() => {
+
+  if (planLabelsContainer) {
+    planLabelsContainer.addEventListener('click', (event) => {
+      const planLabel = event.target.closest('.plan-label');
+      if (!planLabel) return;
+      handlePlanSelection(planLabel.getAttribute('data-plan')).then(() => {
         // Refresh panel data after plan change
         updateInPagePanelData();
       });
@@ -1231,9 +1540,9 @@ function showConfigModal(modelName, modelData) {
   // Set the current count
   document.getElementById('inpage-config-count').value = modelData.count || 0;
   
-  // Use the existing expiration date (until) from model data - prefer nextResetTime, fallback to limitResetTime
+  // Use the existing expiration date (until) from model data
   let expireDate;
-  const existingResetTime = modelData.nextResetTime || modelData.limitResetTime;
+  const existingResetTime = modelData.nextResetTime;
   
   if (existingResetTime) {
     expireDate = new Date(existingResetTime);
@@ -1302,7 +1611,7 @@ async function saveModelConfig() {
 
   try {
     // Get current model data
-    const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
+    const response = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: currentAccount ? currentAccount.id : undefined });
     if (!response || response.status !== 'success' || !response.data) {
       updateStatusInPanel('Failed to get model data for configuration.', 'error', 'inpage-status');
       return;
@@ -1315,7 +1624,7 @@ async function saveModelConfig() {
     }
 
     // Get model limit information to calculate the since date based on until date
-    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan' });
+    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan', accountId: currentAccount ? currentAccount.id : undefined });
     const userPlan = (planResponse && planResponse.status === 'success') ? planResponse.plan : 'FREE';
     
     // Request update with the new configuration
@@ -1324,7 +1633,8 @@ async function saveModelConfig() {
       modelName: modelName,
       count: count,
       untilTimestamp: expireDate,
-      userPlan: userPlan
+      userPlan: userPlan,
+      accountId: currentAccount ? currentAccount.id : undefined
     });
 
     if (updateResponse && updateResponse.status === 'success') {
@@ -1346,37 +1656,57 @@ async function saveModelConfig() {
 }
 
 // Make sure updatePlanLabelStyles and updateInPagePanelData are completely clean of any references
-function updatePlanLabelStyles(activePlan) {
+// Renders one label per known plan (when the list changes) and highlights the active plan
+function updatePlanLabelStyles(activePlan, planNames) {
   if (!inPagePanel) return;
   
-  const planLabelFree = inPagePanel.querySelector('#user-plan-label-free');
-  const planLabelPlus = inPagePanel.querySelector('#user-plan-label-plus');
-
-  if (!planLabelFree || !planLabelPlus) return;
-
-  // Reset styles first 
-  planLabelFree.classList.remove('plan-label-selected');
-  planLabelPlus.classList.remove('plan-label-selected');
-  planLabelFree.style.fontWeight = 'normal';
-  planLabelPlus.style.fontWeight = 'normal';
-  planLabelFree.style.color = '#6c757d'; 
-  planLabelPlus.style.color = '#6c757d';
-  planLabelFree.style.backgroundColor = '#f8f9fa';
-  planLabelPlus.style.backgroundColor = '#f8f9fa';
-  
-  // Apply active styles
-  if (activePlan === 'FREE') {
-    planLabelFree.classList.add('plan-label-selected');
-    planLabelFree.style.fontWeight = 'bold';
-    planLabelFree.style.color = 'white';
-    planLabelFree.style.backgroundColor = '#007bff'; 
-    planLabelFree.style.borderColor = '#007bff';
-  } else if (activePlan === 'PLUS') {
-    planLabelPlus.classList.add('plan-label-selected');
-    planLabelPlus.style.fontWeight = 'bold';
-    planLabelPlus.style.color = 'white';
-    planLabelPlus.style.backgroundColor = '#28a745'; 
-    planLabelPlus.style.borderColor = '#28a745';
+  const planLabelsContainer = inPagePanel.querySelector('#user-plan-labels');
+  if (!planLabelsContainer) return;
+
+  const { getPlanInfo } = window.LimitsRegistry;
+
+  if (planNames && planLabelsContainer.getAttribute('data-plans') !== planNames.join(',')) {
+    planLabelsContainer.innerHTML = '';
+    planNames.forEach(plan => {
+      const planLabel = document.createElement('span');
+      planLabel.className = 'plan-label';
+      planLabel.setAttribute('data-plan', plan);
+      planLabel.textContent = getPlanInfo(plan).label;
+      planLabel.style.cssText = 'cursor:pointer; padding: 4px 10px; border-radius: 20px; border: 1px solid #dee2e6; background-color: #f8f9fa; font-size: 12px;';
+      planLabelsContainer.appendChild(planLabel);
+    });
+    planLabelsContainer.setAttribute('data-plans', planNames.join(','));
+  }
+
+  planLabelsContainer.querySelectorAll('.plan-label').forEach(planLabel => {
+    const isActive = planLabel.getAttribute('data-plan') === activePlan;
+    const planColor = getPlanInfo(planLabel.getAttribute('data-plan')).color;
+    planLabel.classList.toggle('plan-label-selected', isActive);
+    planLabel.style.fontWeight = isActive ? 'bold' : 'normal';
+    planLabel.style.color = isActive ? 'white' : '#6c757d';
+    planLabel.style.backgroundColor = isActive ? planColor : '#f8f9fa';
+    planLabel.style.borderColor = isActive ? planColor : '#dee2e6';
+  });
+}
+
+// Shows whether the active plan was detected from the ChatGPT session or picked by hand
+function updatePlanSourceText(planResponse) {
+  if (!inPagePanel) return;
+  const planSourceEl = inPagePanel.querySelector('#user-plan-source');
+  if (!planSourceEl) return;
+
+  const { getPlanInfo } = window.LimitsRegistry;
+  if (!planResponse || planResponse.status !== 'success') {
+    planSourceEl.textContent = '';
+  } else if (planResponse.source === 'manual') {
+    const detectedPlan = planResponse.detectedPlan;
+    planSourceEl.innerHTML = detectedPlan && detectedPlan !== planResponse.plan
+      ? `Set manually · detected: ${getPlanInfo(detectedPlan).label} · <a href="#" class="use-detected-plan" data-plan="${detectedPlan}">Use detected plan</a>`
+      : 'Set manually';
+  } else if (planResponse.detectedPlan) {
+    planSourceEl.textContent = 'Detected from your ChatGPT account';
+  } else {
+    planSourceEl.textContent = 'Not detected yet · click a plan to set it manually';
   }
 }
 
@@ -1389,77 +1719,62 @@ async function updateInPagePanelData() {
   // --- REMOVED: Get plan switch elements (planToggle, slider) ---
   // const planToggle = ...
   // const slider = ...
-  // --- Get label elements directly ---
-  const planLabelFree = inPagePanel.querySelector('#user-plan-label-free');
-  const planLabelPlus = inPagePanel.querySelector('#user-plan-label-plus');
+  // --- Get label container directly ---
+  const planLabelsContainer = inPagePanel.querySelector('#user-plan-labels');
   // --- END Changes ---
 
-  if (!statusEl || !countersEl || !planLabelFree || !planLabelPlus) return; // Adjusted check
+  if (!statusEl || !countersEl || !planLabelsContainer) return; // Adjusted check
 
   // Display raw currentModel
   statusEl.textContent = `Current model: ${currentModel || 'Unknown'}`;
+  updateAccountIndicators();
+  updateBudgetsInPanel();
   countersEl.innerHTML = '<div class="no-data">Loading counts...</div>';
 
   try {
     // --- MODIFIED: Fetch and set user plan styles ---
-    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan' });
+    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan', accountId: currentAccount ? currentAccount.id : undefined });
     let currentPlan = 'FREE'; // Default to FREE if not fetched
     if (planResponse && planResponse.status === 'success') {
       currentPlan = planResponse.plan;
       console.log(`ModelMeter Content: Current user plan from storage: ${currentPlan}`);
-      updatePlanLabelStyles(currentPlan); // Use helper function to set styles
+      updatePlanLabelStyles(currentPlan, planResponse.plans); // Use helper function to set styles
+      updatePlanSourceText(planResponse);
     } else {
       console.warn('ModelMeter Content: Failed to get user plan for panel. Defaulting to FREE.');
-      updatePlanLabelStyles('FREE');
+      updatePlanLabelStyles('FREE', window.LimitsRegistry.getPlanNames());
     }
     // --- END MODIFIED ---
 
-    // Define model limits based on the current plan
-    let modelLimits = {};
-    
-              // Set model limits based on the plan with structured data
-     if (currentPlan === 'FREE') {
-       modelLimits = {
-          'gpt-4o': { count: 10, periodAmount: 2, periodUnit: 'hour', displayText: '~15 per 3h' },
-          'gpt-4o-mini': { count: Infinity, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
-          'o3-mini': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-          'o4-mini': { count: 20, periodAmount: 5, periodUnit: 'hour', displayText: '~20 per 5h' },
-          'o4-mini-high': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-          'deep-research-lite': { count: 5, periodAmount: 1, periodUnit: 'month', displayText: '5 per month' },
-          'dall-e-3': { count: 3, periodAmount: 1, periodUnit: 'day', displayText: '3 per day' }
-       };
-     } else if (currentPlan === 'PLUS') {
-       modelLimits = {
-          'gpt-4': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' },
-          'gpt-4o': { count: 80, periodAmount: 3, periodUnit: 'hour', displayText: '80 per 3h' },
-          'o3': { count: 100, periodAmount: 1, periodUnit: 'week', displayText: '100 per week' },
-          'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
-          'o4-mini': { count: 300, periodAmount: 1, periodUnit: 'day', displayText: '150 per day' },
-          'o4-mini-high': { count: 100, periodAmount: 1, periodUnit: 'day', displayText: '50 per day' },
-          'deep-research': { count: 10, periodAmount: 1, periodUnit: 'month', displayText: '10 per month' },
-          'dall-e-3': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' }
-       };
-     }
-    
-    console.log(`ModelMeter Content: Using hardcoded limits for plan ${currentPlan}:`, modelLimits);
+    // Limits come from the background (shared registry plus user overrides) so the panel agrees with it
+    const { findLimitObjectForModel, calculateNextTimestampAfterPeriod } = window.ModelMeterUtils;
+    const limitsResponse = await chrome.runtime.sendMessage({ action: 'getModelLimits', plan: currentPlan, accountId: currentAccount ? currentAccount.id : undefined });
+    const modelLimits = (limitsResponse && limitsResponse.status === 'success') ? limitsResponse.limits : {};
+    const modelAliases = (limitsResponse && limitsResponse.aliases) || null;
+    // Used counts and next free slot of rolling-window models come from the usage event log
+    const quotaResponse = await chrome.runtime.sendMessage({ action: 'getQuotaStatus', plan: currentPlan, accountId: currentAccount ? currentAccount.id : undefined });
+    const quotaStatus = (quotaResponse && quotaResponse.status === 'success') ? quotaResponse.quota : {};
+    
+    console.log(`ModelMeter Content: Using effective limits for plan ${currentPlan}:`, modelLimits);
     
     // Debug info to log all model names we're encountering
-    const debugResponse = await chrome.runtime.sendMessage({ action: 'getModelData' });
+    const debugResponse = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: currentAccount ? currentAccount.id : undefined });
     if (debugResponse && debugResponse.status === 'success' && debugResponse.data) {
       const modelKeys = Object.keys(debugResponse.data);
       console.log('ModelMeter Content: Actual model names in storage:', modelKeys);
       
       // Check which models have matching limits
       modelKeys.forEach(model => {
-        if (modelLimits[model]) {
-          console.log(`ModelMeter Content: Found limit for ${model}: ${modelLimits[model]}`);
+        const limitObject = findLimitObjectForModel(model, model.toLowerCase(), modelLimits, modelAliases);
+        if (limitObject) {
+          console.log(`ModelMeter Content: Found limit for ${model}: ${limitObject.displayText}`);
         } else {
           console.log(`ModelMeter Content: ⚠️ No matching limit found for model: ${model}`);
         }
       });
     }
 
-    const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
+    const response = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: currentAccount ? currentAccount.id : undefined });
     if (response && response.status === 'success' && response.data) {
       const modelData = response.data; // Keys are raw model names
       countersEl.innerHTML = ''; 
@@ -1477,100 +1792,45 @@ async function updateInPagePanelData() {
         
         // Display raw model name directly
         const displayName = modelFullName;
-        // Get limit text, normalizing model name to lowercase for matching
+        // Get the model limit object (exact, alias or partial match)
         const modelLowerCase = modelFullName.toLowerCase();
-        let limitText = '';
-        
-        // Get the model limit object
-        let limitObject = null;
-        
-        // Try to find limit by exact match or partial match
-        if (modelLimits[modelFullName]) {
-          limitObject = modelLimits[modelFullName];
-        } else if (modelLimits[modelLowerCase]) {
-          limitObject = modelLimits[modelLowerCase];
-        } else {
-          // Try to find by partial match (like "gpt-4o" matching "gpt-4o-1106-preview")
-          const matchingKey = Object.keys(modelLimits).find(key => 
-            modelLowerCase.includes(key.toLowerCase()) || key.toLowerCase().includes(modelLowerCase)
-          );
-          if (matchingKey) {
-            limitObject = modelLimits[matchingKey];
-            console.log(`ModelMeter Content: Found limit via partial match: ${modelFullName} -> ${matchingKey}`);
-          }
-        }
+        const limitObject = findLimitObjectForModel(modelFullName, modelLowerCase, modelLimits, modelAliases);
         
         // Extract display text from limit object
-        limitText = limitObject ? limitObject.displayText : '';
+        const limitText = limitObject ? limitObject.displayText : '';
+        
+        // Rolling windows report when the oldest message drops out instead of a reset
+        const modelQuota = quotaStatus[modelFullName];
+        const isRolling = !!modelQuota && modelQuota.windowType === 'rolling';
+        const usedCount = modelQuota ? modelQuota.used : item.count;
         
         // Try to determine next reset time based on model limits structure
         let nextResetTime = null;
         let timeToReset = '';
+        let resetTimestamp = null;
         
-        // Check for both possible property names
-        if (item.nextResetTime || item.limitResetTime) {
+        if (isRolling) {
+          resetTimestamp = modelQuota.nextSlotTime;
+        } else if (item.nextResetTime) {
           // If explicitly provided by backend or from rate limit banner
-          const resetTime = item.nextResetTime || item.limitResetTime;
-          const resetDate = new Date(resetTime);
+          resetTimestamp = item.nextResetTime;
+        } else if (limitObject && limitObject.periodUnit && item.lastResetTimestamp) {
+          // Calculate next reset based on lastResetTimestamp + interval
+          resetTimestamp = calculateNextTimestampAfterPeriod(item.lastResetTimestamp, limitObject);
+        }
+        
+        if (resetTimestamp) {
+          const resetDate = new Date(resetTimestamp);
           // Format date as "DD MMM HH:MM"
           nextResetTime = `${resetDate.getDate()} ${resetDate.toLocaleString('en-US', {month: 'short'})} ${resetDate.getHours().toString().padStart(2, '0')}:${resetDate.getMinutes().toString().padStart(2, '0')}`;
           
           // Calculate time remaining
-          const now = new Date();
-          const diffMs = resetDate - now;
+          const diffMs = resetDate - new Date();
           if (diffMs > 0) {
             const diffHrs = Math.floor(diffMs / (1000 * 60 * 60));
             const diffMins = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
             timeToReset = `(in ${diffHrs}h ${diffMins}m)`;
           }
-        } else if (limitObject && limitObject.periodUnit && item.lastResetTimestamp) {
-          // Calculate next reset based on lastResetTimestamp + interval
-          const lastResetDate = new Date(item.lastResetTimestamp);
-          const now = new Date();
-          let resetDate = new Date(lastResetDate);
-          
-          // Calculate next reset based on last reset + period
-          switch(limitObject.periodUnit) {
-            case 'hour':
-              // Add hours to last reset time
-              resetDate.setHours(lastResetDate.getHours() + limitObject.periodAmount);
-              break;
-              
-            case 'day':
-              // Add days to last reset time
-              resetDate.setDate(lastResetDate.getDate() + limitObject.periodAmount);
-              break;
-              
-            case 'week':
-              // Add weeks to last reset time
-              resetDate.setDate(lastResetDate.getDate() + (limitObject.periodAmount * 7));
-              break;
-              
-            case 'month':
-              // Add months to last reset time
-              resetDate.setMonth(lastResetDate.getMonth() + limitObject.periodAmount);
-              break;
-              
-            case 'unlimited':
-            case 'none':
-            default:
-              // No reset time for unlimited or disabled models
-              resetDate = null;
-              break;
-          }
-          
-          if (resetDate) {
-            // Format date as "DD MMM HH:MM"
-            nextResetTime = `${resetDate.getDate()} ${resetDate.toLocaleString('en-US', {month: 'short'})} ${resetDate.getHours().toString().padStart(2, '0')}:${resetDate.getMinutes().toString().padStart(2, '0')}`;
-            
-            // Calculate time remaining
-            const diffMs = resetDate - now;
-            if (diffMs > 0) {
-              const diffHrs = Math.floor(diffMs / (1000 * 60 * 60));
-              const diffMins = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-              timeToReset = `(in ${diffHrs}h ${diffMins}m)`;
-            }
-          }
         }
         
         // Set the item layout style - optimized for 3-column layout
@@ -1579,11 +1839,12 @@ async function updateInPagePanelData() {
         itemDiv.innerHTML = `
             <div style="flex-basis:120px; padding-right:10px;">
               <strong style="font-size:13px; display:block;">${displayName}</strong> 
-            <div style="font-size:9px; color:#777;">Since: ${resetDateTime}</div>
+            <div style="font-size:9px; color:#777;">${isRolling ? `Rolling window · ${limitText}` : `Since: ${resetDateTime}`}</div>
+            ${item.autoRoutedCount ? `<div style="font-size:9px; color:#777;">${item.autoRoutedCount} via Auto</div>` : ''}
           </div>
             <div style="flex-grow:1; text-align:right; padding-right:10px;">
-              <span style="font-weight:bold;">${item.count} / ${limitText || '0'}</span>
-              ${nextResetTime ? `<div style="font-size:9px; color:#777;">Until: ${nextResetTime} ${timeToReset}</div>` : ''}
+              <span style="font-weight:bold;">${usedCount} / ${limitText || '0'}</span>
+              ${nextResetTime ? `<div style="font-size:9px; color:#777;">${isRolling ? 'Next slot' : 'Until'}: ${nextResetTime} ${timeToReset}</div>` : ''}
             </div>
             <div style="width:80px; text-align:right;">
             <button class="inpage-config-btn" data-model="${modelFullName}" style="padding:2px 5px; font-size:9px; background:#17a2b8; color:white; border:none; border-radius:3px; cursor:pointer; margin-right:3px;">Config</button>
@@ -1597,7 +1858,7 @@ async function updateInPagePanelData() {
           const modelToConfig = this.getAttribute('data-model');
           try {
             // Get current model data
-            const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
+            const response = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: currentAccount ? currentAccount.id : undefined });
             if (!response || response.status !== 'success' || !response.data) {
               updateStatusInPanel('Failed to get model data for configuration.', 'error', 'inpage-status');
               return;
@@ -1627,77 +1888,12 @@ async function updateInPagePanelData() {
               // Set current time as the reset timestamp
               const now = new Date().getTime();
               
-              // Get model period to calculate next reset time
-              const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan' });
-              const currentPlan = (planResponse && planResponse.status === 'success') ? planResponse.plan : 'FREE';
-              
-              // Determine model limits based on plan
-              let modelLimits = {};
-              if (currentPlan === 'FREE') {
-                modelLimits = {
-                  'gpt-4o': { count: 15, periodAmount: 3, periodUnit: 'hour', displayText: '~15 per 3h' },
-                  'gpt-4o-mini': { count: Infinity, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
-                  'o3-mini': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-                  'o4-mini': { count: 20, periodAmount: 5, periodUnit: 'hour', displayText: '~20 per 5h' },
-                  'o4-mini-high': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-                  'deep-research-lite': { count: 5, periodAmount: 1, periodUnit: 'month', displayText: '5 per month' },
-                  'dall-e-3': { count: 3, periodAmount: 1, periodUnit: 'day', displayText: '3 per day' }
-                };
-              } else if (currentPlan === 'PLUS') {
-                modelLimits = {
-                  'gpt-4': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' },
-                  'gpt-4o': { count: 80, periodAmount: 3, periodUnit: 'hour', displayText: '80 per 3h' },
-                  'o3': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
-                  'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
-                  'o4-mini': { count: 150, periodAmount: 1, periodUnit: 'day', displayText: '150 per day' },
-                  'o4-mini-high': { count: 50, periodAmount: 1, periodUnit: 'day', displayText: '50 per day' },
-                  'deep-research': { count: 10, periodAmount: 1, periodUnit: 'month', displayText: '10 per month' },
-                  'dall-e-3': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' }
-                };
-              }
-              
-              // Find limit object for this model
-              const modelLowerCase = modelToReset.toLowerCase();
-              let limitObject = null;
-              
-              if (modelLimits[modelToReset]) {
-                limitObject = modelLimits[modelToReset];
-              } else if (modelLimits[modelLowerCase]) {
-                limitObject = modelLimits[modelLowerCase];
-              } else {
-                // Try to find by partial match
-                const matchingKey = Object.keys(modelLimits).find(key => 
-                  modelLowerCase.includes(key.toLowerCase()) || key.toLowerCase().includes(modelLowerCase)
-                );
-                if (matchingKey) {
-                  limitObject = modelLimits[matchingKey];
-                }
-              }
-              
-              // Calculate next reset time
-              let nextResetTime = null;
-              if (limitObject && limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none') {
-                let resetDate = new Date(now);
-                
-                switch(limitObject.periodUnit) {
-                  case 'hour':
-                    resetDate.setHours(resetDate.getHours() + limitObject.periodAmount);
-                    break;
-                  case 'day':
-                    resetDate.setDate(resetDate.getDate() + limitObject.periodAmount);
-                    break;
-                  case 'week':
-                    resetDate.setDate(resetDate.getDate() + (limitObject.periodAmount * 7));
-                    break;
-                  case 'month':
-                    resetDate.setMonth(resetDate.getMonth() + limitObject.periodAmount);
-                    break;
-                  default:
-                    resetDate.setHours(resetDate.getHours() + 3);
-                    break;
-                }
-                
-                nextResetTime = resetDate.getTime();
+              // Calculate next reset time from the effective limits for the current plan
+              const limitsResponse = await chrome.runtime.sendMessage({ action: 'getModelLimits', accountId: currentAccount ? currentAccount.id : undefined });
+              const resetLimits = (limitsResponse && limitsResponse.status === 'success') ? limitsResponse.limits : {};
+              const limitObject = findLimitObjectForModel(modelToReset, modelToReset.toLowerCase(), resetLimits, modelAliases);
+              const nextResetTime = calculateNextTimestampAfterPeriod(now, limitObject);
+              if (nextResetTime) {
                 console.log(`ModelMeter Content: Calculated next reset time for manual reset of ${modelToReset}: ${new Date(nextResetTime).toLocaleString()}`);
               }
               
@@ -1707,7 +1903,7 @@ async function updateInPagePanelData() {
                 modelFullName: modelToReset,
                 resetTimestamp: now,            // "Since" timestamp
                 nextResetTime: nextResetTime,   // "Until" timestamp
-                limitResetTime: nextResetTime   // Also set limitResetTime for compatibility
+                accountId: currentAccount ? currentAccount.id : undefined
               });
               
               if (resetResponse && resetResponse.status === 'success') {
@@ -1738,6 +1934,85 @@ async function updateInPagePanelData() {
   }
 }
 
+// Personal budgets of this tab's account with a bar each; the block is hidden while no budget is set
+async function updateBudgetsInPanel() {
+  const budgetsEl = inPagePanel.querySelector('#inpage-budgets');
+  const listEl = inPagePanel.querySelector('#inpage-budgets-list');
+  if (!budgetsEl || !listEl) return;
+
+  const response = await safeSendMessage({
+    action: 'getBudgetStatus',
+    accountId: currentAccount ? currentAccount.id : undefined
+  }, { suppressErrors: true });
+  const budgets = response && response.status === 'success' ? response.budgets : {};
+  const models = Object.keys(budgets).sort();
+  budgetsEl.style.display = models.length > 0 ? 'block' : 'none';
+  listEl.innerHTML = '';
+
+  const { BUDGET_PERIOD_LABELS } = window.ModelMeterUtils;
+  models.forEach(model => {
+    const budget = budgets[model];
+    const row = document.createElement('div');
+    row.style.cssText = 'margin-bottom:6px;';
+    row.title = `Starts over ${formatShortDateTime(budget.resetTime)}`;
+
+    const label = document.createElement('div');
+    label.style.cssText = 'display:flex; justify-content:space-between; margin-bottom:2px;';
+    const name = document.createElement('strong');
+    name.textContent = model;
+    const usage = document.createElement('span');
+    usage.textContent = `${budget.used} / ${budget.limit} ${BUDGET_PERIOD_LABELS[budget.period].current}`;
+    if (budget.level === 'exhausted') usage.style.color = BUBBLE_LEVEL_COLORS.exhausted;
+    label.appendChild(name);
+    label.appendChild(usage);
+
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height:5px; background:#eee; border-radius:3px; overflow:hidden;';
+    const fill = document.createElement('div');
+    fill.style.cssText = `height:100%; width:${Math.min(100, (budget.used / budget.limit) * 100)}%; background:${BUBBLE_LEVEL_COLORS[budget.level] || BUBBLE_LEVEL_COLORS.ok};`;
+    bar.appendChild(fill);
+
+    row.appendChild(label);
+    row.appendChild(bar);
+    listEl.appendChild(row);
+  });
+}
+
+// Downloads the usage history of this tab's account for the days chosen in the panel (both inclusive)
+async function exportUsageHistoryFromPanel() {
+  const sinceValue = inPagePanel.querySelector('#inpage-export-since').value;
+  const untilValue = inPagePanel.querySelector('#inpage-export-until').value;
+  const since = sinceValue ? new Date(`${sinceValue}T00:00:00`).getTime() : null;
+  const until = untilValue ? new Date(`${untilValue}T23:59:59.999`).getTime() : null;
+  if (since && until && since > until) {
+    updateStatusInPanel('The start date is after the end date.', 'error', 'inpage-export-status');
+    return;
+  }
+
+  const response = await safeSendMessage({
+    action: 'exportUsageHistory',
+    kind: inPagePanel.querySelector('#inpage-export-kind').value,
+    since: since,
+    until: until,
+    accountId: currentAccount ? currentAccount.id : undefined
+  });
+  if (!response || response.status !== 'success') {
+    updateStatusInPanel(`Export failed: ${(response && response.message) || 'no response'}`, 'error', 'inpage-export-status');
+    return;
+  }
+
+  const blob = new Blob([response.content], { type: response.mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = response.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  updateStatusInPanel(`Exported ${response.filename}.`, 'success', 'inpage-export-status');
+}
+
 // Helper to update status messages within the in-page panel
 function updateStatusInPanel(message, type, elementId) {
   if (!inPagePanel) return;
@@ -1859,6 +2134,11 @@ function startModelDetection() {
   }
 }
 
+// Lets the background refresh the toolbar badge, which follows the model of the focused tab
+function reportCurrentModel() {
+  safeSendMessage({ action: 'currentModelChanged', model: currentModel }, { suppressErrors: true });
+}
+
 // Modify detectCurrentModel to handle initial state better
 function detectCurrentModel() {
   try {
@@ -1871,6 +2151,7 @@ function detectCurrentModel() {
         if (rawButtonModel !== currentModel) {
           console.log(`ModelMeter Content: Detected model from switcher button: ${rawButtonModel}`);
           currentModel = rawButtonModel; // Use raw text from button
+          reportCurrentModel();
           return true; // Indicate we found a model
         }
       }
@@ -1885,6 +2166,7 @@ function detectCurrentModel() {
       if (modelSlug && modelSlug !== currentModel) {
         console.log(`ModelMeter Content: Detected model from last assistant message slug: ${modelSlug}`);
         currentModel = modelSlug; // Use raw slug
+        reportCurrentModel();
         return true; // Indicate we found a model
       }
     }
@@ -1915,6 +2197,7 @@ function setupMessageListeners() {
         sendResponse({ 
           status: 'success', 
           model: currentModel, 
+          accountId: currentAccount ? currentAccount.id : null,
           url: window.location.href 
         });
         return true; 
@@ -1989,9 +2272,8 @@ function setupVisibilityChangeDetection() {
       detectCurrentModel();
       updateUI();
       
-      // Check for rate limit banners and expired models when tab becomes visible
+      // Check for rate limit banners when tab becomes visible
       checkAndParseRateLimitBanner();
-      checkAndResetExpiredModels();
       
       // Also verify connection to background script with a simple ping
       safeSendMessage({ action: 'ping' }, { suppressErrors: true }).then(response => {
@@ -2051,6 +2333,8 @@ async function updateUI() { // Bubble UI
     // Display raw currentModel or '??' if null
     const displayName = currentModel || '??';
     let count = '?';
+    let quota = null; // Quota status of the model, null when its limit is unknown
+    let thresholds = null;
 
     if (currentModel) { // currentModel is the raw name/slug
       console.log(`ModelMeter Content: Getting count for raw model: ${currentModel}`);
@@ -2058,11 +2342,14 @@ async function updateUI() { // Bubble UI
       try {
         const response = await safeSendMessage({ 
           action: 'getModelCount', 
-          modelFullName: currentModel 
+          modelFullName: currentModel,
+          accountId: currentAccount ? currentAccount.id : undefined
         }, { suppressErrors: true });
         
         if (response && response.status === 'success') {
           count = response.count;
+          quota = response.quota || null;
+          thresholds = response.thresholds || null;
           console.log(`ModelMeter Content: Successfully got count ${count} for ${currentModel}`);
         } else {
           console.warn('ModelMeter Content: Failed to get model count from background for', currentModel, 'Response:', response);
@@ -2076,20 +2363,10 @@ async function updateUI() { // Bubble UI
     
     // Final safety check before DOM update
     if (bubbleElement && document.body.contains(bubbleElement)) {
-      const bubbleText = `${displayName} · ${count}`;
-      bubbleElement.textContent = bubbleText;
-      console.log(`ModelMeter Content: Updated bubble to "${bubbleText}"`);
-      
-      // Change bubble color based on communication status
-      if (count === '?') {
-        // Red background when communication fails
-        bubbleElement.style.backgroundColor = '#dc2626';
-        bubbleElement.style.borderColor = '#fca5a5';
-      } else {
-        // Normal blue background when working
-        bubbleElement.style.backgroundColor = '#0078D7';
-        bubbleElement.style.borderColor = 'white';
-      }
+      // With an identified account, its short name (e-mail user part) tells personal and work tabs apart
+      const accountTag = currentAccount ? ` · ${currentAccount.label.split('@')[0].slice(0, 12)}` : '';
+      renderBubble(displayName, count, quota, thresholds, accountTag);
+      updateAccountIndicators();
     } else {
       console.log('ModelMeter Content: Bubble element no longer in DOM, cannot update');
     }
@@ -2097,6 +2374,7 @@ async function updateUI() { // Bubble UI
     console.error('ModelMeter Content: Error in updateUI function:', error);
     
     // Even if there's an error, try to show current model without count
+    clearInterval(bubbleCountdownTimer);
     if (bubbleElement && document.body.contains(bubbleElement)) {
       const displayName = currentModel || '??';
       bubbleElement.textContent = `${displayName} · ?`;
@@ -2105,6 +2383,363 @@ async function updateUI() { // Bubble UI
   }
 }
 
+// Bubble colors per quota level (see getQuotaLevel); models without a known limit keep the original blue
+const BUBBLE_LEVEL_COLORS = { unknown: '#0078D7', ok: '#28a745', warning: '#d97706', critical: '#dc3545', exhausted: '#dc3545' };
+
+// Fills the bubble: progress ring, used/limit and what is left, or a countdown to the next reset
+// (next free slot for rolling windows) once the model is exhausted. count '?' means the background
+// could not be reached.
+function renderBubble(displayName, count, quota, thresholds, accountTag) {
+  clearInterval(bubbleCountdownTimer);
+  bubbleCountdownTimer = null;
+
+  const level = count === '?' ? null : window.ModelMeterUtils.getQuotaLevel(quota, thresholds);
+  const resetAt = level === 'exhausted' ? (quota.windowType === 'rolling' ? quota.nextSlotTime : quota.resetTime) : null;
+
+  const describe = () => {
+    if (!quota || count === '?') return `${displayName} · ${count}${accountTag}`;
+    const usage = `${displayName} · ${quota.used}/${quota.limit}`;
+    if (level !== 'exhausted') return `${usage} · ${quota.remaining} left${accountTag}`;
+    return resetAt ? `${usage} · resets in ${formatCountdown(resetAt - Date.now())}${accountTag}` : `${usage} · limit reached${accountTag}`;
+  };
+
+  bubbleElement.textContent = '';
+  if (quota && count !== '?') {
+    bubbleElement.appendChild(createProgressRing(quota.limit > 0 ? quota.used / quota.limit : 1));
+  }
+  const textElement = document.createElement('span');
+  textElement.style.verticalAlign = 'middle';
+  textElement.textContent = describe();
+  bubbleElement.appendChild(textElement);
+  console.log(`ModelMeter Content: Updated bubble to "${textElement.textContent}"`);
+
+  if (count === '?') {
+    // Red background when communication fails
+    bubbleElement.style.backgroundColor = '#dc2626';
+    bubbleElement.style.borderColor = '#fca5a5';
+  } else {
+    bubbleElement.style.backgroundColor = BUBBLE_LEVEL_COLORS[level];
+    bubbleElement.style.borderColor = 'white';
+  }
+
+  if (resetAt) {
+    bubbleCountdownTimer = setInterval(() => {
+      if (Date.now() >= resetAt || !document.body.contains(textElement)) {
+        clearInterval(bubbleCountdownTimer);
+        bubbleCountdownTimer = null;
+        if (Date.now() >= resetAt) updateUI(); // The window has reset, fetch the new count
+        return;
+      }
+      textElement.textContent = describe();
+    }, 1000);
+  }
+}
+
+// Small ring filled clockwise by the used share of the limit
+function createProgressRing(fraction) {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const radius = 7;
+  const circumference = 2 * Math.PI * radius;
+  const ring = document.createElementNS(svgNs, 'svg');
+  ring.setAttribute('width', '18');
+  ring.setAttribute('height', '18');
+  ring.setAttribute('viewBox', '0 0 18 18');
+  ring.style.cssText = 'vertical-align: middle; margin-right: 6px;';
+
+  const track = document.createElementNS(svgNs, 'circle');
+  const progress = document.createElementNS(svgNs, 'circle');
+  [track, progress].forEach(circle => {
+    circle.setAttribute('cx', '9');
+    circle.setAttribute('cy', '9');
+    circle.setAttribute('r', String(radius));
+    circle.setAttribute('fill', 'none');
+    circle.setAttribute('stroke-width', '3');
+    ring.appendChild(circle);
+  });
+  track.setAttribute('stroke', 'rgba(255, 255, 255, 0.35)');
+  progress.setAttribute('stroke', 'white');
+  progress.setAttribute('stroke-dasharray', String(circumference));
+  progress.setAttribute('stroke-dashoffset', String(circumference * (1 - Math.min(1, Math.max(0, fraction)))));
+  progress.setAttribute('transform', 'rotate(-90 9 9)');
+  return ring;
+}
+
+// "2d 4h", "3h 12m" or "7m 05s"
+function formatCountdown(milliseconds) {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+// "14 Mar 09:30", like the panel's Since/Until columns
+function formatShortDateTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getDate()} ${date.toLocaleString('en-US', {month: 'short'})} ${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+// Asks the background whether the model needs a confirmation and, if so, shows the overlay.
+// Resolves to { action: 'send' }, { action: 'cancel' } or { action: 'switch', model }. Any failure
+// lets the message through, so ModelMeter never blocks ChatGPT on its own errors. onOverlayShown is
+// called just before the overlay appears.
+async function confirmSendIfNearLimit(modelSlug, onOverlayShown) {
+  if (isAutoModel(modelSlug)) return { action: 'send' };
+  try {
+    const check = await safeSendMessage({
+      action: 'checkPreSend',
+      model: modelSlug,
+      accountId: currentAccount ? currentAccount.id : undefined
+    }, { suppressErrors: true });
+    if (!check || check.status !== 'success' || !check.confirm) return { action: 'send' };
+    if (onOverlayShown) onOverlayShown();
+    return await showPreSendOverlay(check);
+  } catch (error) {
+    console.error('ModelMeter Content: Pre-send check failed, sending anyway:', error);
+    return { action: 'send' };
+  }
+}
+
+function showPreSendOverlay(check) {
+  return new Promise(resolve => {
+    document.querySelectorAll('.modelmeter-presend-overlay').forEach(element => element.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modelmeter-presend-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 10002;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    `;
+
+    const card = document.createElement('div');
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-modal', 'true');
+    card.style.cssText = `
+      background: white;
+      color: #333;
+      border-radius: 10px;
+      padding: 20px;
+      width: 360px;
+      max-width: calc(100vw - 40px);
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.25);
+      font-size: 14px;
+    `;
+
+    const { quota, budget } = check;
+    const { BUDGET_PERIOD_LABELS } = window.ModelMeterUtils;
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 16px; font-weight: bold; margin-bottom: 10px;';
+    if (check.reason === 'capped') {
+      title.textContent = `${check.model} is at its limit`;
+    } else if (check.reason === 'budget') {
+      title.textContent = `${check.model}: your ${BUDGET_PERIOD_LABELS[budget.period].adjective} budget is used up`;
+    } else {
+      title.textContent = `${check.model}: ${quota.remaining} message${quota.remaining === 1 ? '' : 's'} left`;
+    }
+    card.appendChild(title);
+
+    const details = document.createElement('div');
+    details.style.cssText = 'margin-bottom: 14px; line-height: 1.5;';
+    const lines = [];
+    if (quota.limit !== null) {
+      lines.push(`Used ${quota.used} of ${quota.limit}${quota.displayText ? ` (${quota.displayText})` : ''}, ${quota.remaining} remaining.`);
+    }
+    if (check.reason !== 'budget' && check.resetAt) {
+      lines.push(`${check.reason === 'capped' ? 'Available again' : 'Resets'} ${formatShortDateTime(check.resetAt)} (in ${formatCountdown(check.resetAt - Date.now())}).`);
+    } else if (check.reason === 'capped') {
+      lines.push('ChatGPT reported this model as capped.');
+    }
+    if (budget) {
+      lines.push(`Your budget: ${budget.used} of ${budget.limit} ${BUDGET_PERIOD_LABELS[budget.period].current}, starts over ${formatShortDateTime(budget.resetTime)}.`);
+    }
+    lines.forEach(line => {
+      const lineElement = document.createElement('div');
+      lineElement.textContent = line;
+      details.appendChild(lineElement);
+    });
+    card.appendChild(details);
+
+    const buttonStyle = 'border: none; border-radius: 6px; padding: 7px 12px; cursor: pointer; font-size: 13px; font-weight: 500;';
+    const finish = decision => {
+      document.removeEventListener('keydown', onKeyDown, true);
+      overlay.remove();
+      resolve(decision);
+    };
+    const onKeyDown = event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        finish({ action: 'cancel' });
+      }
+    };
+
+    if (check.alternatives && check.alternatives.length > 0) {
+      const switchRow = document.createElement('div');
+      switchRow.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 14px;';
+      const modelSelect = document.createElement('select');
+      modelSelect.style.cssText = 'flex-grow: 1; padding: 6px; border: 1px solid #ccc; border-radius: 6px; font-size: 13px; background: white; color: #333;';
+      check.alternatives.forEach(alternative => {
+        const option = document.createElement('option');
+        option.value = alternative.model;
+        option.textContent = alternative.remaining === null
+          ? `${alternative.model} (no limit)`
+          : `${alternative.model} (${alternative.remaining} left)`;
+        modelSelect.appendChild(option);
+      });
+      const switchButton = document.createElement('button');
+      switchButton.textContent = 'Send with this model';
+      switchButton.style.cssText = buttonStyle + 'background: #0078D7; color: white;';
+      switchButton.addEventListener('click', () => finish({ action: 'switch', model: modelSelect.value }));
+      switchRow.appendChild(modelSelect);
+      switchRow.appendChild(switchButton);
+      card.appendChild(switchRow);
+    }
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = buttonStyle + 'background: #e5e7eb; color: #333;';
+    cancelButton.addEventListener('click', () => finish({ action: 'cancel' }));
+    const sendButton = document.createElement('button');
+    sendButton.textContent = 'Send anyway';
+    sendButton.style.cssText = buttonStyle + 'background: #dc3545; color: white;';
+    sendButton.addEventListener('click', () => finish({ action: 'send' }));
+    buttonRow.appendChild(cancelButton);
+    buttonRow.appendChild(sendButton);
+    card.appendChild(buttonRow);
+
+    overlay.addEventListener('click', event => {
+      if (event.target === overlay) finish({ action: 'cancel' });
+    });
+    document.addEventListener('keydown', onKeyDown, true);
+
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    cancelButton.focus();
+  });
+}
+
+// Offers to switch to the model the background picked from the user's fallback order after a cap
+function showFallbackSuggestion(fallback) {
+  document.querySelectorAll('.modelmeter-fallback-suggestion').forEach(element => element.remove());
+
+  const card = document.createElement('div');
+  card.className = 'modelmeter-fallback-suggestion';
+  card.style.cssText = `
+    position: fixed;
+    top: 10px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: white;
+    color: #333;
+    border: 1px solid #ddd;
+    border-radius: 8px;
+    padding: 12px 16px;
+    z-index: 10001;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    font-size: 14px;
+    max-width: 460px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+  `;
+
+  const text = document.createElement('div');
+  const untilText = fallback.cappedUntil ? ` until ${formatShortDateTime(fallback.cappedUntil)}` : '';
+  const leftText = fallback.remaining === null ? 'no limit' : `${fallback.remaining} left`;
+  text.textContent = `${fallback.cappedModel} is capped${untilText}. Switch to ${fallback.model} (${leftText})?`;
+  text.style.marginBottom = '10px';
+  card.appendChild(text);
+
+  const buttonStyle = 'border: none; border-radius: 6px; padding: 6px 12px; cursor: pointer; font-size: 13px; font-weight: 500;';
+  const buttonRow = document.createElement('div');
+  buttonRow.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+  const dismissButton = document.createElement('button');
+  dismissButton.textContent = 'Dismiss';
+  dismissButton.style.cssText = buttonStyle + 'background: #e5e7eb; color: #333;';
+  dismissButton.addEventListener('click', () => card.remove());
+  const switchButton = document.createElement('button');
+  switchButton.textContent = `Switch to ${fallback.model}`;
+  switchButton.style.cssText = buttonStyle + 'background: #0078D7; color: white;';
+  switchButton.addEventListener('click', async () => {
+    switchButton.disabled = true;
+    if (await switchModelInPage(fallback.model)) {
+      card.remove();
+    } else {
+      text.textContent = `Couldn't switch automatically. Pick ${fallback.model} in ChatGPT's model menu.`;
+      switchButton.remove();
+    }
+  });
+  buttonRow.appendChild(dismissButton);
+  buttonRow.appendChild(switchButton);
+  card.appendChild(buttonRow);
+
+  document.body.appendChild(card);
+}
+
+// Waits for findElement() to return an element, checking every 100ms
+async function waitForElement(findElement, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const element = findElement();
+    if (element) return element;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return findElement();
+}
+
+// Menu entry of a model in ChatGPT's open model menu, by test id or by its name
+function findModelMenuItem(modelSlug) {
+  const byTestId = document.querySelector(`[role="menuitem"][data-testid="model-switcher-${CSS.escape(modelSlug)}"]`);
+  if (byTestId) return byTestId;
+  return Array.from(document.querySelectorAll('[role="menuitem"]')).find(item => {
+    const label = item.querySelector('span, div') || item;
+    return (label.textContent || '').trim().toLowerCase().startsWith(modelSlug.toLowerCase());
+  }) || null;
+}
+
+// Picks a model in the page's model switcher the way a user would: open the menu (and its
+// "More models" submenu if needed) and click the model. Returns whether the model is selected.
+async function switchModelInPage(modelSlug) {
+  const switcher = document.querySelector('button[data-testid="model-switcher-dropdown-button"]');
+  if (!switcher) return false;
+
+  // The menu opens on pointerdown; fall back to a click for switchers that listen for that
+  switcher.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, button: 0, pointerType: 'mouse' }));
+  if (!await waitForElement(() => document.querySelector('[role="menu"]'), 300)) {
+    switcher.click();
+  }
+
+  let item = await waitForElement(() => findModelMenuItem(modelSlug), 1000);
+  if (!item) {
+    const moreModels = Array.from(document.querySelectorAll('[role="menuitem"][aria-haspopup="menu"]'))
+      .find(element => /more models/i.test(element.textContent || ''));
+    if (moreModels) {
+      moreModels.click();
+      item = await waitForElement(() => findModelMenuItem(modelSlug), 1000);
+    }
+  }
+  if (!item) {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    console.warn(`ModelMeter Content: ${modelSlug} not found in the model menu`);
+    return false;
+  }
+
+  item.click();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  detectCurrentModel();
+  updateUI();
+  return true;
+}
+
 // At around line 45, add this function to handle extension context errors
 function handleExtensionContextError(source) {
   console.error(`ModelMeter Content: Extension context invalidated during ${source}. Refresh needed.`);
@@ -2332,20 +2967,9 @@ planLabelStyleSheet.innerText = `
     border: 1px solid transparent;
   }
   
-  #user-plan-label-free.plan-label-selected {
-    background-color: #007bff;
-  }
-  
-  #user-plan-label-plus.plan-label-selected {
-    background-color: #28a745;
-  }
-  
-  #user-plan-label-free.plan-label-selected:hover {
-    background-color: #0069d9;
-  }
-  
-  #user-plan-label-plus.plan-label-selected:hover {
-    background-color: #218838;
+  /* Background colour of the selected label comes from the plan's accent colour */
+  .plan-label-selected:hover {
+    filter: brightness(0.9);
   }
 `;
 document.head.appendChild(planLabelStyleSheet);
@@ -2438,7 +3062,8 @@ function checkAndParseRateLimitBanner() {
             modelSlug: normalizedModelSlug,
             newSinceTimestampFromBanner: bannerStatedResetTime, // User wants this as the new 'Start'
             storeResetTime: true, // Signal to background to calculate 'Until' and store both
-            resetCounter: !isWarning // Only reset the counter for actual limit hit banners, not warnings
+            resetCounter: !isWarning, // Only reset the counter for actual limit hit banners, not warnings
+            accountId: currentAccount ? currentAccount.id : undefined
           };
           
           // For o3 warning banners, include the full warning text for further parsing
@@ -2452,6 +3077,9 @@ function checkAndParseRateLimitBanner() {
           // Send message to background script
           chrome.runtime.sendMessage(message).then(response => {
             console.log(`ModelMeter Debug (Banner Check): ✅ Rate limit info sent, response:`, response);
+            if (response && response.fallback) {
+              showFallbackSuggestion(response.fallback);
+            }
             
             // Update UI to reflect changes
             updateUI();
@@ -2737,281 +3365,3 @@ function normalizeModelName(rawModelName) {
   return cleaned;
 }
 // --- END: Proactive Banner Check Function ---
-
-// --- Function to check and reset expired model counters ---
-async function checkAndResetExpiredModels() {
-  const now = new Date();
-  const nowTimestamp = now.getTime();
-  console.log(`ModelMeter Debug (Expiration Check): 🕐 Starting expiration check at ${now.toISOString()} (${nowTimestamp})`);
-  
-  // Check extension context validity with retries
-  let pingResponse = null;
-  let retries = 3;
-  
-  while (retries > 0 && !pingResponse) {
-    pingResponse = await safeSendMessage({ action: 'ping' }, { suppressErrors: true });
-    if (!pingResponse) {
-      retries--;
-      console.log(`ModelMeter Debug (Expiration Check): ⚠️ Ping failed, ${retries} retries left`);
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-      }
-    }
-  }
-  
-  if (!pingResponse) {
-    console.log('ModelMeter Debug (Expiration Check): ❌ Extension context invalid after retries, skipping expired model check');
-    showReloadPageMessage('ModelMeter background script not responding. Expiration checks suspended. Please refresh the page.');
-    return;
-  }
-  
-  console.log('ModelMeter Debug (Expiration Check): ✅ Background script responding, proceeding with expiration check');
-  
-  try {
-    // Get current model data from storage with retries
-    let response = null;
-    retries = 3;
-    
-    while (retries > 0 && !response) {
-      response = await safeSendMessage({ action: 'getModelData' }, { suppressErrors: true });
-      if (!response || response.status !== 'success' || !response.data) {
-        retries--;
-        console.log(`ModelMeter Debug (Expiration Check): ⚠️ Model data fetch failed, ${retries} retries left`);
-        if (retries > 0) {
-          await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-        }
-      }
-    }
-    
-    if (!response || response.status !== 'success' || !response.data) {
-      console.log('ModelMeter Debug (Expiration Check): ❌ Failed to get model data after retries');
-      showReloadPageMessage('ModelMeter cannot access model data. Please refresh the page to restore functionality.');
-      return;
-    }
-
-    const modelData = response.data;
-    let resetsPerformed = 0;
-    let modelsToReset = [];
-
-    console.log(`ModelMeter Debug (Expiration Check): 📊 Checking ${Object.keys(modelData).length} models for expiration`);
-
-    // First identify all models that need reset with detailed logging
-    for (const [modelName, modelInfo] of Object.entries(modelData)) {
-      // Check both possible property names and validate they are valid timestamps
-      const nextResetTime = modelInfo.nextResetTime || modelInfo.limitResetTime;
-      
-      if (nextResetTime) {
-        // Validate that nextResetTime is a valid number
-        const resetTimestamp = typeof nextResetTime === 'number' ? nextResetTime : parseInt(nextResetTime, 10);
-        
-        if (isNaN(resetTimestamp) || resetTimestamp <= 0) {
-          console.log(`ModelMeter Debug (Expiration Check): ⚠️ Model "${modelName}" has invalid reset timestamp: ${nextResetTime} - skipping`);
-          continue;
-        }
-        
-        const resetDate = new Date(resetTimestamp);
-        
-        // Validate the resulting date is valid
-        if (isNaN(resetDate.getTime())) {
-          console.log(`ModelMeter Debug (Expiration Check): ⚠️ Model "${modelName}" reset timestamp creates invalid date: ${resetTimestamp} - skipping`);
-          continue;
-        }
-        
-        const timeDiffMs = nowTimestamp - resetTimestamp;
-        const timeDiffMinutes = Math.round(timeDiffMs / (1000 * 60));
-        const timeUntilResetMs = resetTimestamp - nowTimestamp;
-        const timeUntilResetMinutes = Math.round(timeUntilResetMs / (1000 * 60));
-        
-        console.log(`ModelMeter Debug (Expiration Check): 🔍 Model "${modelName}":
-          - Current time: ${now.toISOString()} (${nowTimestamp})
-          - Reset time: ${resetDate.toISOString()} (${resetTimestamp})
-          - Time since reset: ${timeDiffMs}ms (${timeDiffMinutes} minutes)
-          - Time until reset: ${timeUntilResetMs}ms (${timeUntilResetMinutes} minutes)
-          - Is expired: ${nowTimestamp > resetTimestamp ? 'YES' : 'NO'}`);
-        
-        // Use strict greater than comparison - if current time is past reset time, it's expired
-        if (nowTimestamp > resetTimestamp) {
-          console.log(`ModelMeter Debug (Expiration Check): ⏰ Model "${modelName}" has expired by ${timeDiffMinutes} minutes! Adding to reset queue.`);
-          modelsToReset.push(modelName);
-        } else {
-          console.log(`ModelMeter Debug (Expiration Check): ✅ Model "${modelName}" is still valid for ${Math.abs(timeUntilResetMinutes)} more minutes.`);
-        }
-      } else {
-        console.log(`ModelMeter Debug (Expiration Check): ⚠️ Model "${modelName}" has no reset time set - skipping`);
-      }
-    }
-    
-    if (modelsToReset.length === 0) {
-      console.log('ModelMeter Debug (Expiration Check): ✅ No models need to be reset at this time');
-      return;
-    }
-
-    console.log(`ModelMeter Debug (Expiration Check): 🎯 Found ${modelsToReset.length} models to reset: [${modelsToReset.join(', ')}]`);
-
-    // Get user plan information once for all resets
-    let currentPlan = 'FREE';
-    const planResponse = await safeSendMessage({ action: 'getUserPlan' }, { suppressErrors: true });
-    if (planResponse && planResponse.status === 'success') {
-      currentPlan = planResponse.plan;
-      console.log(`ModelMeter Debug (Expiration Check): 📋 User plan: ${currentPlan}`);
-    } else {
-      console.log(`ModelMeter Debug (Expiration Check): ⚠️ Failed to get user plan, defaulting to FREE`);
-    }
-    
-    // Define model limits based on plan
-    let modelLimits = {};
-    if (currentPlan === 'FREE') {
-      modelLimits = {
-        'gpt-4o': { count: 15, periodAmount: 3, periodUnit: 'hour', displayText: '~15 per 3h' },
-        'gpt-4o-mini': { count: Infinity, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
-        'o3-mini': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-        'o4-mini': { count: 20, periodAmount: 5, periodUnit: 'hour', displayText: '~20 per 5h' },
-        'o4-mini-high': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
-        'deep-research-lite': { count: 5, periodAmount: 1, periodUnit: 'month', displayText: '5 per month' },
-        'dall-e-3': { count: 3, periodAmount: 1, periodUnit: 'day', displayText: '3 per day' }
-      };
-    } else if (currentPlan === 'PLUS') {
-      modelLimits = {
-        'gpt-4': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' },
-        'gpt-4o': { count: 80, periodAmount: 3, periodUnit: 'hour', displayText: '80 per 3h' },
-        'o3': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
-        'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
-        'o4-mini': { count: 150, periodAmount: 1, periodUnit: 'day', displayText: '150 per day' },
-        'o4-mini-high': { count: 50, periodAmount: 1, periodUnit: 'day', displayText: '50 per day' },
-        'deep-research': { count: 10, periodAmount: 1, periodUnit: 'month', displayText: '10 per month' },
-        'dall-e-3': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' }
-      };
-    }
-
-    // Now process each model that needs reset - one at a time with error handling
-    for (const modelName of modelsToReset) {
-      console.log(`ModelMeter Debug (Expiration Check): 🔧 Processing reset for "${modelName}"`);
-      
-      // Find the limit object for this model
-      const modelLowerCase = modelName.toLowerCase();
-      let limitObject = null;
-      
-      // Try to find by model name
-      if (modelLimits[modelName]) {
-        limitObject = modelLimits[modelName];
-        console.log(`ModelMeter Debug (Expiration Check): ✅ Found limit by exact match for "${modelName}"`);
-      } else if (modelLimits[modelLowerCase]) {
-        limitObject = modelLimits[modelLowerCase];
-        console.log(`ModelMeter Debug (Expiration Check): ✅ Found limit by lowercase match for "${modelName}"`);
-      } else {
-        // Try to find by partial match
-        const matchingKey = Object.keys(modelLimits).find(key => 
-          modelLowerCase.includes(key.toLowerCase()) || key.toLowerCase().includes(modelLowerCase)
-        );
-        if (matchingKey) {
-          limitObject = modelLimits[matchingKey];
-          console.log(`ModelMeter Debug (Expiration Check): ✅ Found limit by partial match for "${modelName}" -> "${matchingKey}"`);
-        } else {
-          console.log(`ModelMeter Debug (Expiration Check): ⚠️ No limit object found for "${modelName}"`);
-        }
-      }
-      
-      // Use current time as the new "Since" timestamp
-      const newSinceTimestamp = nowTimestamp;
-      
-      // Calculate the next reset time based on current time plus the period
-      let newUntilTimestamp = null;
-      if (limitObject && limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none') {
-        const newResetDate = new Date(nowTimestamp);
-        
-        // Calculate next reset time based on period
-        switch(limitObject.periodUnit) {
-          case 'hour':
-            newResetDate.setHours(newResetDate.getHours() + limitObject.periodAmount);
-            break;
-          case 'day':
-            newResetDate.setDate(newResetDate.getDate() + limitObject.periodAmount);
-            break;
-          case 'week':
-            newResetDate.setDate(newResetDate.getDate() + (limitObject.periodAmount * 7));
-            break;
-          case 'month':
-            newResetDate.setMonth(newResetDate.getMonth() + limitObject.periodAmount);
-            break;
-          default:
-            // Default to 3 hours if we can't determine
-            newResetDate.setHours(newResetDate.getHours() + 3);
-            console.log(`ModelMeter Debug (Expiration Check): ⚠️ Unknown period unit "${limitObject.periodUnit}" for "${modelName}", defaulting to 3 hours`);
-            break;
-        }
-        
-        newUntilTimestamp = newResetDate.getTime();
-        
-        // Validate the calculated timestamp
-        if (isNaN(newUntilTimestamp) || newUntilTimestamp <= nowTimestamp) {
-          console.error(`ModelMeter Debug (Expiration Check): ❌ Invalid calculated reset time for "${modelName}": ${newUntilTimestamp}`);
-          // Fallback to 3 hours from now
-          const fallbackDate = new Date(nowTimestamp);
-          fallbackDate.setHours(fallbackDate.getHours() + 3);
-          newUntilTimestamp = fallbackDate.getTime();
-          console.log(`ModelMeter Debug (Expiration Check): 🔧 Using fallback reset time for "${modelName}": ${new Date(newUntilTimestamp).toISOString()}`);
-        } else {
-          console.log(`ModelMeter Debug (Expiration Check): 📅 Calculated new reset time for "${modelName}": ${new Date(newUntilTimestamp).toISOString()} (${limitObject.periodAmount} ${limitObject.periodUnit}(s) from now)`);
-        }
-      } else {
-        console.log(`ModelMeter Debug (Expiration Check): ⚠️ Model "${modelName}" has no period or is unlimited/none - no next reset time calculated`);
-      }
-      
-      console.log(`ModelMeter Debug (Expiration Check): 📤 Sending reset request for "${modelName}" to background script...`);
-      
-      // Reset the counter and update both timestamps with retries
-      let resetResponse = null;
-      let resetRetries = 3;
-      
-      while (resetRetries > 0 && (!resetResponse || resetResponse.status !== 'success')) {
-        resetResponse = await safeSendMessage({
-          action: 'resetSingleModelCounter',
-          modelFullName: modelName,
-          resetTimestamp: newSinceTimestamp,        // Current time as "Since" timestamp
-          nextResetTime: newUntilTimestamp,         // Calculated "Until" timestamp
-          limitResetTime: newUntilTimestamp         // Also set limitResetTime for compatibility
-        }, { suppressErrors: true }); // Use suppressErrors for retry logic
-        
-        if (!resetResponse || resetResponse.status !== 'success') {
-          resetRetries--;
-          console.log(`ModelMeter Debug (Expiration Check): ⚠️ Reset failed for "${modelName}", ${resetRetries} retries left. Response:`, resetResponse);
-          if (resetRetries > 0) {
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-          }
-        }
-      }
-      
-      if (resetResponse && resetResponse.status === 'success') {
-        resetsPerformed++;
-        console.log(`ModelMeter Debug (Expiration Check): ✅ Successfully reset counter for "${modelName}"
-          - New since time: ${new Date(newSinceTimestamp).toISOString()}
-          - New until time: ${newUntilTimestamp ? new Date(newUntilTimestamp).toISOString() : 'not set'}
-          - Counter reset to: 0`);
-      } else {
-        console.error(`ModelMeter Debug (Expiration Check): ❌ Failed to reset counter for "${modelName}" after all retries. Final response:`, resetResponse);
-      }
-    }
-    
-    // If any models were reset, update the UI
-    if (resetsPerformed > 0) {
-      console.log(`ModelMeter Debug (Expiration Check): 🔄 Reset ${resetsPerformed} model counters, updating UI`);
-      updateUI().catch(error => {
-        console.error('ModelMeter Debug (Expiration Check): Error updating UI after resets:', error);
-      });
-      
-      if (inPagePanel && inPagePanel.style.display === 'block') {
-        updateInPagePanelData().catch(error => {
-          console.error('ModelMeter Debug (Expiration Check): Error updating panel after resets:', error);
-        });
-      }
-    }
-    
-    console.log(`ModelMeter Debug (Expiration Check): ✅ Expiration check completed. Reset ${resetsPerformed} of ${modelsToReset.length} models.`);
-  } catch (error) {
-    console.error('ModelMeter Debug (Expiration Check): ❌ Error checking for expired models:', error);
-    if (error.message && error.message.includes('Extension context invalidated')) {
-      handleExtensionContextError('checkAndResetExpiredModels');
-    }
-  }
-}
-// --- END: Function to check and reset expired model counters --- 
\ No newline at end of file
@@ -0,0 +1,410 @@
+// ModelMeter dashboard - quotas, history charts, rate-limit hits, event log and plan/limits of one account
+
+const HISTORY_DAYS = 30;
+const HEATMAP_DAYS = 12 * 7;
+// Rows shown in the event log; the filters narrow down longer logs
+const EVENT_LOG_ROWS = 500;
+
+const SOURCE_LABELS = { sse: 'Conversation stream', dom: 'Page', manual: 'Manual' };
+
+// Account whose data is shown; null follows the account active in ChatGPT
+let selectedAccountId = new URLSearchParams(location.search).get('account');
+
+// Usage events behind the history charts, kept for re-filtering the heatmap
+let historyEvents = [];
+
+document.addEventListener('DOMContentLoaded', function() {
+  console.log('ModelMeter Dashboard: Loaded');
+  setupEventListeners();
+  setDefaultEventRange();
+  updateAccountSelect();
+  refreshDashboard();
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'countersDisplayShouldRefresh') {
+      updateAccountSelect();
+      refreshDashboard();
+    }
+  });
+});
+
+function setupEventListeners() {
+  document.getElementById('refreshButton').addEventListener('click', refreshDashboard);
+
+  document.getElementById('accountSelect').addEventListener('change', function() {
+    selectedAccountId = this.value || null;
+    refreshDashboard();
+  });
+
+  document.getElementById('heatmapModel').addEventListener('change', renderUsageHeatmap);
+
+  document.getElementById('eventFilterForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    loadEventLog();
+  });
+
+  document.getElementById('planSelect').addEventListener('change', function() {
+    setPlan(this.value, 'manual');
+  });
+
+  document.getElementById('useDetectedPlanButton').addEventListener('click', function() {
+    setPlan(this.getAttribute('data-plan'), 'revert-to-detected');
+  });
+
+  document.getElementById('editLimitsButton').addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+}
+
+function refreshDashboard() {
+  loadModelsTable();
+  loadHistory();
+  loadRateLimitHits();
+  loadEventLog();
+  loadPlanAndLimits();
+}
+
+// Same account list as the popup's picker, the active account marked
+async function updateAccountSelect() {
+  const accountSelect = document.getElementById('accountSelect');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getAccounts' });
+    if (!response || response.status !== 'success') return;
+    accountSelect.innerHTML = '';
+    response.accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.active ? `${account.label} (active)` : account.label;
+      accountSelect.appendChild(option);
+    });
+    accountSelect.value = selectedAccountId || response.activeAccountId;
+  } catch (error) {
+    console.error('ModelMeter Dashboard: Error loading accounts:', error);
+  }
+}
+
+async function loadModelsTable() {
+  const tableBody = document.getElementById('modelsTableBody');
+  try {
+    const [dataResponse, quotaResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getModelData', accountId: selectedAccountId }),
+      chrome.runtime.sendMessage({ action: 'getQuotaStatus', accountId: selectedAccountId })
+    ]);
+    if (!dataResponse || dataResponse.status !== 'success' || !quotaResponse || quotaResponse.status !== 'success') {
+      setTableMessage(tableBody, 8, 'Failed to load model data.', 'error');
+      return;
+    }
+
+    const modelData = dataResponse.data;
+    const models = Object.keys(modelData).sort();
+    if (models.length === 0) {
+      setTableMessage(tableBody, 8, 'No model usage data yet.');
+      return;
+    }
+
+    tableBody.innerHTML = '';
+    models.forEach(model => {
+      const item = modelData[model];
+      const quota = quotaResponse.quota[model] || {};
+      const isRolling = quota.windowType === 'rolling';
+      const isCapped = quota.remaining === 0;
+      const row = appendRow(tableBody, [
+        model,
+        quota.used !== undefined ? quota.used : item.count,
+        quota.limit === null || quota.limit === undefined ? '∞' : quota.limit,
+        quota.remaining === null || quota.remaining === undefined ? '–' : quota.remaining,
+        `${isRolling ? 'Rolling' : 'Fixed'}${quota.displayText ? ` · ${quota.displayText}` : ''}`,
+        formatTime(quota.windowStart),
+        formatTime(isRolling ? quota.nextSlotTime : quota.resetTime),
+        ''
+      ]);
+      row.cells[0].className = 'model-name';
+      if (item.autoRoutedCount) {
+        appendMuted(row.cells[0], `${item.autoRoutedCount} via Auto`);
+      }
+      if (isCapped) row.cells[3].className = 'capped';
+
+      const resetButton = document.createElement('button');
+      resetButton.className = 'row-btn danger-btn';
+      resetButton.textContent = 'Reset';
+      resetButton.title = `Reset the count for ${model}`;
+      resetButton.addEventListener('click', () => resetModel(model));
+      row.cells[7].appendChild(resetButton);
+    });
+  } catch (error) {
+    setTableMessage(tableBody, 8, 'Error loading model data.', 'error');
+    console.error('ModelMeter Dashboard: Error loading model data:', error);
+  }
+}
+
+async function resetModel(model) {
+  if (!confirm(`Are you sure you want to reset the count for ${model}?`)) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'resetSingleModelCounter', modelFullName: model, accountId: selectedAccountId });
+    if (response && response.status === 'success') {
+      updateStatus(`Count for ${model} reset.`, 'success');
+      loadModelsTable();
+    } else {
+      updateStatus(`Failed to reset ${model}.`, 'error');
+    }
+  } catch (error) {
+    updateStatus(`Error resetting ${model}.`, 'error');
+    console.error('ModelMeter Dashboard: Error resetting model:', error);
+  }
+}
+
+// Daily chart with rate-limit markers and the weekday/hour heatmap
+async function loadHistory() {
+  const chartElement = document.getElementById('historyChart');
+  const since = daysAgo(HISTORY_DAYS - 1);
+  try {
+    const [eventsResponse, hitsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getUsageEvents', since: Math.min(since, daysAgo(HEATMAP_DAYS - 1)), accountId: selectedAccountId }),
+      chrome.runtime.sendMessage({ action: 'getRateLimitHits', since: since, accountId: selectedAccountId })
+    ]);
+    if (!eventsResponse || eventsResponse.status !== 'success') {
+      chartElement.innerHTML = '<div class="no-data error">Failed to load usage history.</div>';
+      return;
+    }
+    historyEvents = eventsResponse.events;
+    UsageCharts.renderDailyStackedChart(chartElement, {
+      events: historyEvents,
+      hits: (hitsResponse && hitsResponse.status === 'success') ? hitsResponse.hits : [],
+      days: HISTORY_DAYS
+    });
+    fillModelSelect(document.getElementById('heatmapModel'), historyEvents.map(event => event.model));
+    renderUsageHeatmap();
+  } catch (error) {
+    chartElement.innerHTML = '<div class="no-data error">Error loading usage history.</div>';
+    console.error('ModelMeter Dashboard: Error loading usage history:', error);
+  }
+}
+
+function renderUsageHeatmap() {
+  UsageCharts.renderHourlyHeatmap(document.getElementById('usageHeatmap'), {
+    events: historyEvents,
+    model: document.getElementById('heatmapModel').value || null
+  });
+}
+
+async function loadRateLimitHits() {
+  const tableBody = document.getElementById('hitsTableBody');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getRateLimitHits', accountId: selectedAccountId });
+    if (!response || response.status !== 'success') {
+      setTableMessage(tableBody, 4, 'Failed to load rate limit hits.', 'error');
+      return;
+    }
+    if (response.hits.length === 0) {
+      setTableMessage(tableBody, 4, 'No rate limit banners recorded yet.');
+      return;
+    }
+    tableBody.innerHTML = '';
+    [...response.hits].reverse().forEach(hit => {
+      const row = appendRow(tableBody, [
+        formatTime(hit.timestamp),
+        hit.model,
+        hit.kind === 'warning' ? 'Limit warning' : 'Limit reached',
+        formatTime(hit.resetTime)
+      ]);
+      if (hit.kind !== 'warning') row.cells[2].className = 'capped';
+    });
+  } catch (error) {
+    setTableMessage(tableBody, 4, 'Error loading rate limit hits.', 'error');
+    console.error('ModelMeter Dashboard: Error loading rate limit hits:', error);
+  }
+}
+
+// Event log defaults to the last 30 days
+function setDefaultEventRange() {
+  document.getElementById('eventSince').value = toDateInputValue(new Date(daysAgo(HISTORY_DAYS - 1)));
+  document.getElementById('eventUntil').value = toDateInputValue(new Date());
+}
+
+async function loadEventLog() {
+  const tableBody = document.getElementById('eventsTableBody');
+  const summary = document.getElementById('eventLogSummary');
+  const sinceValue = document.getElementById('eventSince').value;
+  const untilValue = document.getElementById('eventUntil').value;
+  const modelSelect = document.getElementById('eventModel');
+  const source = document.getElementById('eventSource').value;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getUsageEvents',
+      since: sinceValue ? new Date(`${sinceValue}T00:00:00`).getTime() : undefined,
+      until: untilValue ? new Date(`${untilValue}T23:59:59.999`).getTime() : undefined,
+      accountId: selectedAccountId
+    });
+    if (!response || response.status !== 'success') {
+      setTableMessage(tableBody, 6, 'Failed to load the event log.', 'error');
+      summary.textContent = '';
+      return;
+    }
+
+    // The model list comes from the unfiltered range, so a model filter can always be changed back
+    fillModelSelect(modelSelect, response.events.map(event => event.model));
+    const events = response.events
+      .filter(event => (!modelSelect.value || event.model === modelSelect.value) && (!source || event.source === source))
+      .reverse();
+
+    summary.textContent = events.length > EVENT_LOG_ROWS
+      ? `${events.length} messages match; showing the newest ${EVENT_LOG_ROWS}. Narrow the filters or use Export in the popup for all of them.`
+      : `${events.length} message${events.length === 1 ? '' : 's'} match.`;
+    if (events.length === 0) {
+      setTableMessage(tableBody, 6, 'No messages match these filters.');
+      return;
+    }
+
+    tableBody.innerHTML = '';
+    events.slice(0, EVENT_LOG_ROWS).forEach(event => {
+      const row = appendRow(tableBody, [
+        formatTime(event.timestamp),
+        event.model,
+        event.plan || '',
+        SOURCE_LABELS[event.source] || event.source || '',
+        event.autoRouted ? 'yes' : '',
+        event.conversationId || ''
+      ]);
+      row.cells[5].className = 'muted';
+    });
+  } catch (error) {
+    setTableMessage(tableBody, 6, 'Error loading the event log.', 'error');
+    console.error('ModelMeter Dashboard: Error loading event log:', error);
+  }
+}
+
+// Plan picker of the selected account and the limits in effect for that plan
+async function loadPlanAndLimits() {
+  const planSelect = document.getElementById('planSelect');
+  const planSource = document.getElementById('planSource');
+  const useDetectedButton = document.getElementById('useDetectedPlanButton');
+  const tableBody = document.getElementById('limitsTableBody');
+
+  try {
+    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan', accountId: selectedAccountId });
+    if (!planResponse || planResponse.status !== 'success') {
+      setTableMessage(tableBody, 4, 'Failed to load the plan.', 'error');
+      return;
+    }
+
+    planSelect.innerHTML = '';
+    planResponse.plans.forEach(plan => {
+      const option = document.createElement('option');
+      option.value = plan;
+      option.textContent = plan;
+      planSelect.appendChild(option);
+    });
+    planSelect.value = planResponse.plan;
+    planSource.textContent = planResponse.source === 'detected'
+      ? 'Detected from your ChatGPT account'
+      : `Chosen manually${planResponse.detectedPlan ? ` (detected: ${planResponse.detectedPlan})` : ''}`;
+    const offerDetected = planResponse.source === 'manual' && !!planResponse.detectedPlan;
+    useDetectedButton.style.display = offerDetected ? '' : 'none';
+    useDetectedButton.setAttribute('data-plan', planResponse.detectedPlan || '');
+
+    const limitsResponse = await chrome.runtime.sendMessage({ action: 'getModelLimits', plan: planResponse.plan });
+    if (!limitsResponse || limitsResponse.status !== 'success') {
+      setTableMessage(tableBody, 4, 'Failed to load limits.', 'error');
+      return;
+    }
+    tableBody.innerHTML = '';
+    Object.keys(limitsResponse.limits).sort().forEach(model => {
+      const limitObject = limitsResponse.limits[model];
+      const row = appendRow(tableBody, [
+        model,
+        limitObject.displayText || '',
+        limitObject.windowType === 'rolling' ? 'Rolling' : 'Fixed',
+        limitObject.overridden ? 'Overridden' : 'Built-in'
+      ]);
+      row.cells[0].className = 'model-name';
+      if (limitObject.overridden) row.cells[3].className = 'overridden';
+    });
+  } catch (error) {
+    setTableMessage(tableBody, 4, 'Error loading plan and limits.', 'error');
+    console.error('ModelMeter Dashboard: Error loading plan and limits:', error);
+  }
+}
+
+async function setPlan(plan, source) {
+  if (!plan) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setUserPlan', plan: plan, source: source, accountId: selectedAccountId });
+    if (response && response.status === 'success') {
+      updateStatus(`Plan set to ${response.plan}.`, 'success');
+      refreshDashboard();
+    } else {
+      updateStatus(`Failed to set plan: ${(response && response.message) || 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error setting plan.', 'error');
+    console.error('ModelMeter Dashboard: Error setting plan:', error);
+  }
+}
+
+// Replaces a model filter's options, keeping the current choice when it is still offered
+function fillModelSelect(select, models) {
+  const previous = select.value;
+  const uniqueModels = [...new Set(models)].sort();
+  select.innerHTML = '<option value="">All models</option>';
+  uniqueModels.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    select.appendChild(option);
+  });
+  select.value = uniqueModels.includes(previous) ? previous : '';
+}
+
+// Appends a row of text cells (never parsed as HTML, model names come from the page)
+function appendRow(tableBody, values) {
+  const row = document.createElement('tr');
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value === null || value === undefined ? '' : String(value);
+    row.appendChild(cell);
+  });
+  tableBody.appendChild(row);
+  return row;
+}
+
+function appendMuted(cell, text) {
+  const line = document.createElement('div');
+  line.className = 'muted';
+  line.textContent = text;
+  cell.appendChild(line);
+}
+
+function setTableMessage(tableBody, columns, message, type) {
+  tableBody.innerHTML = '';
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = columns;
+  cell.className = type === 'error' ? 'error' : 'no-data';
+  cell.textContent = message;
+  row.appendChild(cell);
+  tableBody.appendChild(row);
+}
+
+function daysAgo(days) {
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate() - days).getTime();
+}
+
+function toDateInputValue(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString(undefined, {
+    year: 'numeric', month: 'short', day: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  }) : '–';
+}
+
+function updateStatus(message, type) {
+  const statusElement = document.querySelector('#status');
+  if (!statusElement) return;
+  statusElement.textContent = message;
+  statusElement.className = `status ${type || ''}`;
+}
@@ -0,0 +1,447 @@
+// ModelMeter - limits_registry.js
+// Single source of truth for per-plan model quotas. Loaded by the background
+// service worker (importScripts) and by the content script (manifest), so the
+// bubble, the panel, the expiry checks and the rate-limit handling all agree.
+
+(function() {
+  'use strict';
+
+  // Bump whenever the default tables below change so stored data can tell
+  // which registry revision it was computed against.
+  const LIMITS_REGISTRY_VERSION = 2;
+
+  // Supported period units. 'unlimited' means no cap, 'none' means the model
+  // is not available on the plan at all.
+  const PERIOD_UNITS = ['hour', 'day', 'week', 'month', 'unlimited', 'none'];
+
+  // 'fixed' windows reset to zero at "Until", 'rolling' windows count the messages of the last period
+  const WINDOW_TYPES = ['fixed', 'rolling'];
+
+  const DEFAULT_PLAN = 'FREE';
+
+  // Limit profiles are the import/export format for complete limit tables
+  const PROFILE_FORMAT = 'modelmeter-limits-profile';
+  const PROFILE_SCHEMA_VERSION = 1;
+
+  // GPT-4 class caps behave as rolling windows on ChatGPT; every other entry defaults to 'fixed'
+  const PLAN_LIMITS = {
+    FREE: {
+      'gpt-4o': { count: 15, periodAmount: 3, periodUnit: 'hour', displayText: '~15 per 3h', windowType: 'rolling' },
+      'gpt-4o-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-3.5-turbo': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3-mini': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
+      'o4-mini': { count: 20, periodAmount: 5, periodUnit: 'hour', displayText: '~20 per 5h' },
+      'o4-mini-high': { count: 0, periodAmount: 0, periodUnit: 'none', displayText: '0' },
+      'deep-research-lite': { count: 5, periodAmount: 1, periodUnit: 'month', displayText: '5 per month' },
+      'dall-e-3': { count: 3, periodAmount: 1, periodUnit: 'day', displayText: '3 per day' }
+    },
+    PLUS: {
+      'gpt-4': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h', windowType: 'rolling' },
+      'gpt-4o': { count: 80, periodAmount: 3, periodUnit: 'hour', displayText: '80 per 3h', windowType: 'rolling' },
+      'gpt-4o-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-3.5-turbo': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3': { count: 100, periodAmount: 1, periodUnit: 'week', displayText: '100 per week' },
+      'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
+      'o4-mini': { count: 300, periodAmount: 1, periodUnit: 'day', displayText: '300 per day' },
+      'o4-mini-high': { count: 100, periodAmount: 1, periodUnit: 'day', displayText: '100 per day' },
+      'deep-research': { count: 10, periodAmount: 1, periodUnit: 'month', displayText: '10 per month' },
+      'dall-e-3': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' }
+    },
+    TEAM: {
+      'gpt-4': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h', windowType: 'rolling' },
+      'gpt-4o': { count: 160, periodAmount: 3, periodUnit: 'hour', displayText: '160 per 3h', windowType: 'rolling' },
+      'gpt-4o-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-3.5-turbo': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3': { count: 100, periodAmount: 1, periodUnit: 'week', displayText: '100 per week' },
+      'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
+      'o4-mini': { count: 300, periodAmount: 1, periodUnit: 'day', displayText: '300 per day' },
+      'o4-mini-high': { count: 100, periodAmount: 1, periodUnit: 'day', displayText: '100 per day' },
+      'deep-research': { count: 25, periodAmount: 1, periodUnit: 'month', displayText: '25 per month' },
+      'dall-e-3': { count: 40, periodAmount: 3, periodUnit: 'hour', displayText: '40 per 3h' }
+    },
+    PRO: {
+      'gpt-4': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-4o': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-4o-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-3.5-turbo': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o1-pro': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o4-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o4-mini-high': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'deep-research': { count: 250, periodAmount: 1, periodUnit: 'month', displayText: '250 per month' },
+      'dall-e-3': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' }
+    },
+    ENTERPRISE: {
+      'gpt-4': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-4o': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-4o-mini': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'gpt-3.5-turbo': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' },
+      'o3': { count: 100, periodAmount: 1, periodUnit: 'week', displayText: '100 per week' },
+      'o3-mini': { count: 50, periodAmount: 1, periodUnit: 'week', displayText: '50 per week' },
+      'o4-mini': { count: 300, periodAmount: 1, periodUnit: 'day', displayText: '300 per day' },
+      'o4-mini-high': { count: 100, periodAmount: 1, periodUnit: 'day', displayText: '100 per day' },
+      'deep-research': { count: 25, periodAmount: 1, periodUnit: 'month', displayText: '25 per month' },
+      'dall-e-3': { count: null, periodAmount: 0, periodUnit: 'unlimited', displayText: 'Unlimited' }
+    }
+  };
+
+  // Label and accent colour used by the plan selectors. Plans that only exist in an
+  // imported profile fall back to their identifier and a neutral colour.
+  const PLAN_INFO = {
+    FREE: { label: 'Free', color: '#007bff' },
+    PLUS: { label: 'Plus', color: '#28a745' },
+    TEAM: { label: 'Team', color: '#6f42c1' },
+    PRO: { label: 'Pro', color: '#fd7e14' },
+    ENTERPRISE: { label: 'Enterprise', color: '#343a40' }
+  };
+
+  // Shorthands and older slugs that should share the quota of a canonical model
+  const MODEL_ALIASES = {
+    'o4': 'gpt-4o',
+    '4o': 'gpt-4o',
+    'g4': 'gpt-4',
+    'g4t': 'gpt-4',
+    'gpt-4-turbo': 'gpt-4',
+    'g35t': 'gpt-3.5-turbo'
+  };
+
+  /**
+   * Builds a human readable text for a limit entry, e.g. "80 per 3h"
+   * @param {Object} limitObject - Entry with count, periodAmount and periodUnit
+   * @returns {string} Display text for the limit
+   */
+  function formatLimitText(limitObject) {
+    if (!limitObject) return '';
+    if (limitObject.periodUnit === 'unlimited') return 'Unlimited';
+    if (limitObject.periodUnit === 'none') return '0';
+
+    const amount = limitObject.periodAmount || 1;
+    const period = limitObject.periodUnit === 'hour'
+      ? `${amount}h`
+      : (amount === 1 ? limitObject.periodUnit : `${amount} ${limitObject.periodUnit}s`);
+    return `${limitObject.count} per ${period}`;
+  }
+
+  /**
+   * Returns the names of all plans known to the registry
+   * @param {Object} [profile] - Imported limit profile, whose plans are added to the built-in ones
+   * @returns {string[]} Plan identifiers, e.g. ['FREE', 'PLUS', 'TEAM', 'PRO', 'ENTERPRISE']
+   */
+  function getPlanNames(profile) {
+    const planNames = Object.keys(PLAN_LIMITS);
+    if (profile && profile.plans) {
+      Object.keys(profile.plans).forEach(plan => {
+        if (!planNames.includes(plan)) planNames.push(plan);
+      });
+    }
+    return planNames;
+  }
+
+  // Plan names as reported by ChatGPT (account plan_type or subscription plan id) mapped to registry plans
+  const DETECTED_PLAN_NAMES = {
+    free: 'FREE',
+    plus: 'PLUS',
+    chatgptplusplan: 'PLUS',
+    team: 'TEAM',
+    chatgptteamplan: 'TEAM',
+    pro: 'PRO',
+    chatgptproplan: 'PRO',
+    enterprise: 'ENTERPRISE',
+    chatgptenterpriseplan: 'ENTERPRISE',
+    edu: 'ENTERPRISE'
+  };
+
+  /**
+   * Maps a plan name reported by ChatGPT to a registry plan
+   * @param {string} rawPlan - Plan type from the session or account endpoints, e.g. "plus"
+   * @returns {string|null} Registry plan identifier, or null if the plan is not recognised
+   */
+  function normalizePlanName(rawPlan) {
+    if (typeof rawPlan !== 'string') return null;
+    return DETECTED_PLAN_NAMES[rawPlan.trim().toLowerCase()] || null;
+  }
+
+  /**
+   * Returns how a plan is presented in the plan selectors
+   * @param {string} plan - Plan identifier
+   * @returns {{label: string, color: string}} Display label and accent colour
+   */
+  function getPlanInfo(plan) {
+    return PLAN_INFO[plan] || { label: plan, color: '#17a2b8' };
+  }
+
+  /**
+   * Returns the model aliases in effect
+   * @param {Object} [profile] - Imported limit profile, which replaces the built-in aliases
+   * @returns {Object} Map of alias to canonical model slug
+   */
+  function getModelAliases(profile) {
+    return { ...((profile && profile.aliases) || MODEL_ALIASES) };
+  }
+
+  /**
+   * Checks a limit entry (default or user override) for consistency
+   * @param {Object} entry - Entry with count, periodAmount, periodUnit and windowType
+   * @returns {string|null} Error message, or null if the entry is valid
+   */
+  function validateLimitEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'Limit entry must be an object.';
+    if (!PERIOD_UNITS.includes(entry.periodUnit)) return `Unknown period unit "${entry.periodUnit}".`;
+    if (entry.windowType !== undefined && !WINDOW_TYPES.includes(entry.windowType)) {
+      return `Unknown window type "${entry.windowType}".`;
+    }
+    if (entry.periodUnit === 'unlimited' || entry.periodUnit === 'none') return null;
+    if (!Number.isInteger(entry.count) || entry.count < 0) return 'Count must be a whole number of 0 or more.';
+    if (!Number.isInteger(entry.periodAmount) || entry.periodAmount < 1) return 'Period amount must be a whole number of 1 or more.';
+    return null;
+  }
+
+  /**
+   * Merges a user override on top of a registry entry. The display text is
+   * regenerated when the override changes the quota but carries no text of its own.
+   * @param {Object|undefined} baseEntry - Registry entry, if the model is known
+   * @param {Object} override - Partial or full limit entry from storage
+   * @returns {Object} The merged limit entry
+   */
+  function applyLimitOverride(baseEntry, override) {
+    const merged = { ...(baseEntry || {}), ...override };
+    if (merged.periodUnit === 'unlimited') merged.count = null;
+    if (merged.periodUnit === 'none') merged.count = 0;
+    if (!override.displayText) merged.displayText = formatLimitText(merged);
+    return merged;
+  }
+
+  /**
+   * Returns a copy of the limit table for a plan, unknown plans fall back to FREE
+   * @param {string} plan - The user's plan
+   * @param {Object} [overrides] - User overrides shaped as { [plan]: { [model]: limitEntry } }
+   * @param {Object} [profile] - Imported limit profile, which replaces the built-in tables for its plans
+   * @returns {Object} Map of model slug to limit entry
+   */
+  function getPlanLimits(plan, overrides, profile) {
+    const table = (profile && profile.plans && profile.plans[plan]) || PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+    const limits = {};
+    for (const [model, entry] of Object.entries(table)) {
+      limits[model] = { windowType: 'fixed', ...entry, displayText: entry.displayText || formatLimitText(entry) };
+    }
+
+    const planOverrides = (overrides && overrides[plan]) || {};
+    for (const [model, override] of Object.entries(planOverrides)) {
+      const merged = applyLimitOverride(limits[model], override);
+      const validationError = validateLimitEntry(merged);
+      if (validationError) {
+        console.warn(`ModelMeter: Ignoring invalid limit override for ${plan}/${model}: ${validationError}`);
+        continue;
+      }
+      limits[model] = { windowType: 'fixed', ...merged, overridden: true };
+    }
+    return limits;
+  }
+
+  // True when token appears in name as whole dash, underscore or space separated parts: "gpt-4o" is in
+  // "gpt-4o-2024-08-06", but "gpt-4" is in neither "gpt-4o" nor "gpt-4.5"
+  function containsModelToken(name, token) {
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[-_\\s])${escaped}($|[-_\\s])`).test(name);
+  }
+
+  /**
+   * Finds the limit entry for a model: exact name, then alias, then the longest key the name contains
+   * as whole parts (e.g. a dated slug of a known model). A name that is only part of a key (e.g. "o3"
+   * of "o3-mini") has no known limit.
+   * @param {string} modelName - Raw model name or slug as seen on the page
+   * @param {Object} modelLimits - Limit table returned by getPlanLimits
+   * @param {Object} [aliases] - Alias map from getModelAliases, defaults to the built-in aliases
+   * @returns {Object|null} The limit entry or null if the model is unknown
+   */
+  function findLimitForModel(modelName, modelLimits, aliases = MODEL_ALIASES) {
+    if (!modelName || !modelLimits) return null;
+    const modelLowerCase = modelName.toLowerCase();
+
+    if (modelLimits[modelName]) return modelLimits[modelName];
+    if (modelLimits[modelLowerCase]) return modelLimits[modelLowerCase];
+
+    const aliasTarget = aliases[modelLowerCase];
+    if (aliasTarget && modelLimits[aliasTarget]) return modelLimits[aliasTarget];
+
+    // Partial matches, longest key first so "o4-mini-high" wins over "o4-mini"
+    const candidates = [
+      ...Object.keys(modelLimits).map(key => [key, key]),
+      ...Object.entries(aliases)
+    ].sort((a, b) => b[0].length - a[0].length);
+
+    const contained = candidates.find(([key, target]) => containsModelToken(modelLowerCase, key.toLowerCase()) && modelLimits[target]);
+    return contained ? modelLimits[contained[1]] : null;
+  }
+
+  /**
+   * Builds a complete limit profile document (all plans, with overrides applied) for export
+   * @param {Object} [overrides] - User overrides from storage
+   * @param {Object} [profile] - Currently imported limit profile, if any
+   * @returns {Object} Profile document
+   */
+  function buildLimitProfile(overrides, profile) {
+    const plans = {};
+    const models = new Set();
+    getPlanNames(profile).forEach(plan => {
+      plans[plan] = {};
+      for (const [model, entry] of Object.entries(getPlanLimits(plan, overrides, profile))) {
+        const { overridden, ...cleanEntry } = entry;
+        plans[plan][model] = cleanEntry;
+        models.add(model);
+      }
+    });
+
+    return {
+      format: PROFILE_FORMAT,
+      schemaVersion: PROFILE_SCHEMA_VERSION,
+      registryVersion: LIMITS_REGISTRY_VERSION,
+      exportedAt: new Date().toISOString(),
+      periods: [...PERIOD_UNITS],
+      models: [...models].sort(),
+      aliases: getModelAliases(profile),
+      plans: plans
+    };
+  }
+
+  /**
+   * Validates an imported limit profile document
+   * @param {Object} doc - Parsed JSON document
+   * @returns {string[]} List of problems, empty when the document can be applied
+   */
+  function validateLimitProfile(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      return ['Profile must be a JSON object.'];
+    }
+    if (doc.format !== PROFILE_FORMAT) {
+      errors.push(`Unknown format "${doc.format}", expected "${PROFILE_FORMAT}".`);
+    }
+    if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 1) {
+      errors.push('Missing or invalid schemaVersion.');
+    } else if (doc.schemaVersion > PROFILE_SCHEMA_VERSION) {
+      errors.push(`Profile schema version ${doc.schemaVersion} is newer than supported (${PROFILE_SCHEMA_VERSION}). Please update ModelMeter.`);
+    }
+
+    const periods = Array.isArray(doc.periods) ? doc.periods : null;
+    if (!periods) {
+      errors.push('"periods" must be a list of period units.');
+    } else {
+      periods.filter(unit => !PERIOD_UNITS.includes(unit))
+        .forEach(unit => errors.push(`Unsupported period unit "${unit}".`));
+    }
+
+    const models = Array.isArray(doc.models) ? doc.models : null;
+    if (!models || models.some(model => typeof model !== 'string' || !model)) {
+      errors.push('"models" must be a list of model slugs.');
+    }
+
+    if (!doc.plans || typeof doc.plans !== 'object' || Object.keys(doc.plans).length === 0) {
+      errors.push('"plans" must contain at least one plan.');
+    } else {
+      for (const [plan, table] of Object.entries(doc.plans)) {
+        if (!table || typeof table !== 'object') {
+          errors.push(`Plan ${plan} must map model slugs to limits.`);
+          continue;
+        }
+        for (const [model, entry] of Object.entries(table)) {
+          const entryError = validateLimitEntry(entry);
+          if (entryError) errors.push(`${plan}/${model}: ${entryError}`);
+          if (periods && entry && !periods.includes(entry.periodUnit)) {
+            errors.push(`${plan}/${model}: period unit "${entry.periodUnit}" is not listed in "periods".`);
+          }
+          if (models && !models.includes(model)) {
+            errors.push(`${plan}/${model}: model is not listed in "models".`);
+          }
+        }
+      }
+    }
+
+    if (!doc.aliases || typeof doc.aliases !== 'object' || Array.isArray(doc.aliases)) {
+      errors.push('"aliases" must map alias names to model slugs.');
+    } else if (models) {
+      for (const [alias, target] of Object.entries(doc.aliases)) {
+        if (!models.includes(target)) errors.push(`Alias "${alias}" points to unknown model "${target}".`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Lists the differences between two limit profiles, used to preview an import
+   * @param {Object} currentProfile - Profile currently in effect (from buildLimitProfile)
+   * @param {Object} incomingProfile - Profile about to be applied
+   * @returns {Object[]} Changes as { scope, key, change: 'added'|'removed'|'changed', before, after }
+   */
+  function diffLimitProfiles(currentProfile, incomingProfile) {
+    const changes = [];
+    const describe = entry => entry ? `${formatLimitText(entry)} (${entry.windowType || 'fixed'})` : null;
+
+    const plans = new Set([...Object.keys(currentProfile.plans || {}), ...Object.keys(incomingProfile.plans || {})]);
+    plans.forEach(plan => {
+      const before = (currentProfile.plans || {})[plan] || {};
+      const after = (incomingProfile.plans || {})[plan] || {};
+      const models = new Set([...Object.keys(before), ...Object.keys(after)]);
+      [...models].sort().forEach(model => {
+        const beforeText = describe(before[model]);
+        const afterText = describe(after[model]);
+        if (beforeText === afterText) return;
+        changes.push({
+          scope: plan,
+          key: model,
+          change: !beforeText ? 'added' : (!afterText ? 'removed' : 'changed'),
+          before: beforeText,
+          after: afterText
+        });
+      });
+    });
+
+    const beforeAliases = currentProfile.aliases || {};
+    const afterAliases = incomingProfile.aliases || {};
+    new Set([...Object.keys(beforeAliases), ...Object.keys(afterAliases)]).forEach(alias => {
+      if (beforeAliases[alias] === afterAliases[alias]) return;
+      changes.push({
+        scope: 'aliases',
+        key: alias,
+        change: !beforeAliases[alias] ? 'added' : (!afterAliases[alias] ? 'removed' : 'changed'),
+        before: beforeAliases[alias] || null,
+        after: afterAliases[alias] || null
+      });
+    });
+
+    return changes;
+  }
+
+  const registry = {
+    LIMITS_REGISTRY_VERSION,
+    PERIOD_UNITS,
+    WINDOW_TYPES,
+    DEFAULT_PLAN,
+    MODEL_ALIASES,
+    PROFILE_FORMAT,
+    PROFILE_SCHEMA_VERSION,
+    formatLimitText,
+    getPlanNames,
+    getPlanInfo,
+    normalizePlanName,
+    getModelAliases,
+    getPlanLimits,
+    validateLimitEntry,
+    findLimitForModel,
+    buildLimitProfile,
+    validateLimitProfile,
+    diffLimitProfiles
+  };
+
+  if (typeof self !== 'undefined') {
+    self.LimitsRegistry = registry;
+  } else if (typeof window !== 'undefined') {
+    window.LimitsRegistry = registry;
+  } else if (typeof global !== 'undefined') {
+    global.LimitsRegistry = registry;
+  }
+
+  console.log(`ModelMeter: Limits registry v${LIMITS_REGISTRY_VERSION} loaded and exposed as LimitsRegistry`);
+})();
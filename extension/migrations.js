@@ -0,0 +1,111 @@
+// ModelMeter - migrations.js
+// Versioned upgrades of the stored data layout. Each migration works on a plain snapshot of
+// chrome.storage.local ({ key: value }), so the same steps can upgrade a live install and an
+// older backup file. Migrations must be idempotent: running one twice leaves the data unchanged.
+
+(function() {
+  'use strict';
+
+  // Bump together with a new entry in MIGRATIONS
+  const CURRENT_SCHEMA_VERSION = 3;
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Collapse the duplicated limitResetTime into nextResetTime',
+      migrate(snapshot) {
+        // Key names are spelled out: each migration describes the layout of its own version
+        const modelData = snapshot.modelData;
+        if (!modelData || typeof modelData !== 'object') return;
+        for (const modelInfo of Object.values(modelData)) {
+          if (!modelInfo || typeof modelInfo !== 'object' || !('limitResetTime' in modelInfo)) continue;
+          if (modelInfo.nextResetTime === undefined || modelInfo.nextResetTime === null) {
+            modelInfo.nextResetTime = modelInfo.limitResetTime;
+          }
+          delete modelInfo.limitResetTime;
+        }
+      }
+    },
+    {
+      version: 2,
+      description: 'Keep counters and plan per ChatGPT account; existing data goes to the unidentified account',
+      migrate(snapshot) {
+        const accountId = 'unidentified';
+        let moved = false;
+        for (const key of ['modelData', 'userPlan', 'userPlanSource', 'detectedPlan']) {
+          if (!(key in snapshot)) continue;
+          if (!(`${key}:${accountId}` in snapshot)) {
+            snapshot[`${key}:${accountId}`] = snapshot[key];
+          }
+          delete snapshot[key];
+          moved = true;
+        }
+        if (Array.isArray(snapshot.usageEvents)) {
+          snapshot.usageEvents.forEach(event => {
+            if (event && !event.accountId) {
+              event.accountId = accountId;
+              moved = true;
+            }
+          });
+        }
+        if (moved) {
+          snapshot.accounts = snapshot.accounts || {};
+          if (!snapshot.accounts[accountId]) {
+            snapshot.accounts[accountId] = { label: 'Unidentified account', email: null, structure: null, firstSeen: Date.now(), lastSeen: Date.now() };
+          }
+        }
+      }
+    },
+    {
+      version: 3,
+      description: 'Split the usage event log into one list per UTC day ("usageEvents:YYYY-MM-DD")',
+      migrate(snapshot) {
+        if (!Array.isArray(snapshot.usageEvents)) return;
+        snapshot.usageEvents.forEach(event => {
+          // Events without a usable time can't be placed in a day (a valid backup has none)
+          if (!event || !Number.isFinite(event.timestamp)) return;
+          const dayKey = `usageEvents:${new Date(event.timestamp).toISOString().slice(0, 10)}`;
+          snapshot[dayKey] = snapshot[dayKey] || [];
+          snapshot[dayKey].push(event);
+        });
+        delete snapshot.usageEvents;
+      }
+    }
+  ];
+
+  /**
+   * Applies every migration newer than fromVersion to the snapshot, in order, modifying it in place.
+   *
+   * @param {Object} snapshot - Storage snapshot ({ key: value })
+   * @param {number} fromVersion - Schema version the snapshot was written with (0 when unknown)
+   * @returns {{version: number, applied: string[]}} Resulting version and descriptions of the applied migrations
+   */
+  function migrateSnapshot(snapshot, fromVersion) {
+    const startVersion = Number(fromVersion) || 0;
+    if (startVersion > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`Data was written by a newer ModelMeter (schema version ${startVersion}, this version understands ${CURRENT_SCHEMA_VERSION}).`);
+    }
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= startVersion) continue;
+      migration.migrate(snapshot);
+      applied.push(`v${migration.version}: ${migration.description}`);
+    }
+    return { version: CURRENT_SCHEMA_VERSION, applied };
+  }
+
+  const migrations = {
+    CURRENT_SCHEMA_VERSION,
+    migrateSnapshot
+  };
+
+  if (typeof self !== 'undefined') {
+    self.StorageMigrations = migrations;
+  } else if (typeof window !== 'undefined') {
+    window.StorageMigrations = migrations;
+  } else if (typeof global !== 'undefined') {
+    global.StorageMigrations = migrations;
+  }
+
+  console.log(`ModelMeter: Storage migrations loaded (schema v${CURRENT_SCHEMA_VERSION})`);
+})();
@@ -0,0 +1,774 @@
+// ModelMeter options page - limits editor, usage thresholds, notifications, pre-send confirmation,
+// personal budgets, fallback models, limit profile import/export and backup/restore
+
+let pendingImportProfile = null; // Validated profile waiting for the user to confirm the diff
+let pendingRestoreBackup = null; // Validated backup waiting for the user to pick merge or replace
+
+document.addEventListener('DOMContentLoaded', function() {
+  console.log('ModelMeter Options: Loaded');
+  populatePlanSelect();
+  setupEventListeners();
+  loadLimitsTable();
+  loadQuotaThresholds();
+  loadNotificationSettings();
+  loadPreSendGuard();
+  loadBudgets();
+  loadFallbackOrder();
+
+  // Keep the editor in sync if limits are changed elsewhere (another options tab, import, ...)
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'countersDisplayShouldRefresh') {
+      loadLimitsTable();
+    }
+  });
+});
+
+async function populatePlanSelect() {
+  const planSelect = document.getElementById('limitsPlan');
+  const previousPlan = planSelect.value;
+  let planNames = LimitsRegistry.getPlanNames();
+
+  try {
+    // An imported profile may define additional plans
+    const profileResponse = await chrome.runtime.sendMessage({ action: 'exportLimitProfile' });
+    if (profileResponse && profileResponse.status === 'success') {
+      planNames = Object.keys(profileResponse.profile.plans);
+    }
+  } catch (error) {
+    console.error('ModelMeter Options: Error getting limit profile plans:', error);
+  }
+
+  planSelect.innerHTML = '';
+  planNames.forEach(plan => {
+    const option = document.createElement('option');
+    option.value = plan;
+    option.textContent = plan;
+    planSelect.appendChild(option);
+  });
+
+  if (previousPlan && planNames.includes(previousPlan)) {
+    planSelect.value = previousPlan;
+    return;
+  }
+
+  // Preselect the plan the user is currently on
+  chrome.runtime.sendMessage({ action: 'getUserPlan' }).then(response => {
+    if (response && response.status === 'success' && planNames.includes(response.plan)) {
+      planSelect.value = response.plan;
+      loadLimitsTable();
+    }
+  }).catch(error => {
+    console.error('ModelMeter Options: Error getting user plan:', error);
+  });
+}
+
+function setupEventListeners() {
+  document.getElementById('limitsPlan').addEventListener('change', function() {
+    loadLimitsTable();
+  });
+
+  document.getElementById('resetOverridesButton').addEventListener('click', async function() {
+    if (!confirm('Revert all limit overrides for every plan to the built-in values?')) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'resetLimitOverrides' });
+      if (response && response.status === 'success') {
+        updateStatus('All limit overrides reverted.', 'success');
+        loadLimitsTable();
+      } else {
+        updateStatus('Failed to revert limit overrides.', 'error');
+      }
+    } catch (error) {
+      updateStatus('Error reverting limit overrides.', 'error');
+      console.error('ModelMeter Options: Error reverting overrides:', error);
+    }
+  });
+
+  document.getElementById('thresholdsForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    saveQuotaThresholds();
+  });
+
+  document.getElementById('notificationsForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    saveNotificationSettings();
+  });
+
+  document.getElementById('preSendGuardForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    savePreSendGuard();
+  });
+
+  document.getElementById('budgetsForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    saveBudgets();
+  });
+
+  document.getElementById('addBudgetForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    const input = document.getElementById('newBudgetModel');
+    const model = input.value.trim().toLowerCase();
+    if (!model) return;
+    if (document.querySelector(`#budgetsTableBody tr[data-model="${CSS.escape(model)}"]`)) {
+      updateStatus(`${model} already has a budget.`, 'warning');
+      return;
+    }
+    appendBudgetRow(model, { count: 20, period: 'day' });
+    input.value = '';
+    updateStatus(`Set the budget for ${model} and click Save Budgets.`, 'warning');
+  });
+
+  document.getElementById('fallbackOrderForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    saveFallbackOrder();
+  });
+
+  document.getElementById('exportProfileButton').addEventListener('click', exportLimitProfile);
+
+  document.getElementById('importProfileInput').addEventListener('change', function() {
+    const file = this.files && this.files[0];
+    this.value = ''; // Allow re-selecting the same file later
+    if (file) {
+      previewLimitProfileImport(file);
+    }
+  });
+
+  document.getElementById('applyProfileButton').addEventListener('click', applyPendingLimitProfile);
+
+  document.getElementById('cancelProfileButton').addEventListener('click', function() {
+    hideProfileImportPreview();
+    updateStatus('Profile import cancelled.', 'warning');
+  });
+
+  document.getElementById('clearProfileButton').addEventListener('click', async function() {
+    if (!confirm('Remove the imported profile and all overrides, and go back to the built-in limits?')) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearLimitProfile' });
+      if (response && response.status === 'success') {
+        updateStatus('Built-in limits restored.', 'success');
+        await populatePlanSelect();
+        loadLimitsTable();
+      } else {
+        updateStatus('Failed to restore built-in limits.', 'error');
+      }
+    } catch (error) {
+      updateStatus('Error restoring built-in limits.', 'error');
+      console.error('ModelMeter Options: Error clearing limit profile:', error);
+    }
+  });
+
+  document.getElementById('createBackupButton').addEventListener('click', createBackup);
+
+  document.getElementById('restoreBackupInput').addEventListener('change', function() {
+    const file = this.files && this.files[0];
+    this.value = ''; // Allow re-selecting the same file later
+    if (file) {
+      previewBackupRestore(file);
+    }
+  });
+
+  document.getElementById('applyRestoreButton').addEventListener('click', applyPendingBackup);
+
+  document.getElementById('cancelRestoreButton').addEventListener('click', function() {
+    hideBackupRestorePreview();
+    updateStatus('Restore cancelled.', 'warning');
+  });
+
+  document.getElementById('addModelForm').addEventListener('submit', function(event) {
+    event.preventDefault();
+    const input = document.getElementById('newModelName');
+    const model = input.value.trim().toLowerCase();
+    if (!model) return;
+    if (document.querySelector(`#limitsTableBody tr[data-model="${CSS.escape(model)}"]`)) {
+      updateStatus(`${model} is already in the table.`, 'warning');
+      return;
+    }
+    appendLimitRow(model, { count: 0, periodAmount: 1, periodUnit: 'day', windowType: 'fixed' }, false);
+    input.value = '';
+    updateStatus(`Set the limit for ${model} and click Save.`, 'warning');
+  });
+}
+
+async function loadLimitsTable() {
+  const plan = document.getElementById('limitsPlan').value;
+  const tableBody = document.getElementById('limitsTableBody');
+  if (!plan || !tableBody) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getModelLimits', plan: plan });
+    if (!response || response.status !== 'success' || !response.limits) {
+      tableBody.innerHTML = '<tr><td colspan="6" class="error">Failed to load limits.</td></tr>';
+      return;
+    }
+
+    tableBody.innerHTML = '';
+    Object.keys(response.limits).sort().forEach(model => {
+      const limitObject = response.limits[model];
+      appendLimitRow(model, limitObject, !!limitObject.overridden);
+    });
+  } catch (error) {
+    tableBody.innerHTML = '<tr><td colspan="6" class="error">Error loading limits.</td></tr>';
+    console.error('ModelMeter Options: Error loading limits:', error);
+  }
+}
+
+function appendLimitRow(model, limitObject, isOverridden) {
+  const tableBody = document.getElementById('limitsTableBody');
+  const row = document.createElement('tr');
+  row.setAttribute('data-model', model);
+
+  const unitOptions = LimitsRegistry.PERIOD_UNITS
+    .map(unit => `<option value="${unit}" ${unit === limitObject.periodUnit ? 'selected' : ''}>${unit}</option>`)
+    .join('');
+  const windowOptions = LimitsRegistry.WINDOW_TYPES
+    .map(type => `<option value="${type}" ${type === (limitObject.windowType || 'fixed') ? 'selected' : ''}>${type}</option>`)
+    .join('');
+
+  row.innerHTML = `
+    <td>
+      <div class="model-name"></div>
+      <div class="limit-source ${isOverridden ? 'overridden' : ''}"></div>
+    </td>
+    <td><input type="number" class="limit-count" min="0" value="${limitObject.count === null ? '' : limitObject.count}"></td>
+    <td><input type="number" class="limit-period-amount" min="1" value="${limitObject.periodAmount || 1}"></td>
+    <td><select class="limit-period-unit">${unitOptions}</select></td>
+    <td><select class="limit-window-type">${windowOptions}</select></td>
+    <td>
+      <button class="row-btn save-btn">Save</button>
+      ${isOverridden ? '<button class="row-btn revert-btn">Revert</button>' : ''}
+    </td>
+  `;
+  // Model names and descriptions can come from an imported limits profile, so they are set as text
+  row.querySelector('.model-name').textContent = model;
+  row.querySelector('.limit-source').textContent = `${isOverridden ? 'Overridden' : 'Built-in'} · ${limitObject.displayText || ''}`;
+  tableBody.appendChild(row);
+
+  row.querySelector('.save-btn').addEventListener('click', () => saveLimitRow(row));
+  row.querySelector('.revert-btn')?.addEventListener('click', () => revertLimitRow(model));
+}
+
+async function saveLimitRow(row) {
+  const plan = document.getElementById('limitsPlan').value;
+  const model = row.getAttribute('data-model');
+  const periodUnit = row.querySelector('.limit-period-unit').value;
+  const hasPeriod = periodUnit !== 'unlimited' && periodUnit !== 'none';
+
+  const override = {
+    count: hasPeriod ? parseInt(row.querySelector('.limit-count').value, 10) : (periodUnit === 'none' ? 0 : null),
+    periodAmount: hasPeriod ? parseInt(row.querySelector('.limit-period-amount').value, 10) : 0,
+    periodUnit: periodUnit,
+    windowType: row.querySelector('.limit-window-type').value
+  };
+
+  const validationError = LimitsRegistry.validateLimitEntry(override);
+  if (validationError) {
+    updateStatus(`${model}: ${validationError}`, 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setLimitOverride', plan, model, override });
+    if (response && response.status === 'success') {
+      updateStatus(`Limit for ${model} (${plan}) saved.`, 'success');
+      loadLimitsTable();
+    } else {
+      updateStatus(`Failed to save limit for ${model}: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus(`Error saving limit for ${model}.`, 'error');
+    console.error('ModelMeter Options: Error saving limit override:', error);
+  }
+}
+
+async function revertLimitRow(model) {
+  const plan = document.getElementById('limitsPlan').value;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setLimitOverride', plan, model, override: null });
+    if (response && response.status === 'success') {
+      updateStatus(`Limit for ${model} (${plan}) reverted to built-in value.`, 'success');
+      loadLimitsTable();
+    } else {
+      updateStatus(`Failed to revert limit for ${model}.`, 'error');
+    }
+  } catch (error) {
+    updateStatus(`Error reverting limit for ${model}.`, 'error');
+    console.error('ModelMeter Options: Error reverting limit override:', error);
+  }
+}
+
+async function loadQuotaThresholds() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getQuotaThresholds' });
+    if (response && response.status === 'success') {
+      document.getElementById('warningThreshold').value = response.thresholds.warning;
+      document.getElementById('criticalThreshold').value = response.thresholds.critical;
+    }
+  } catch (error) {
+    console.error('ModelMeter Options: Error loading quota thresholds:', error);
+  }
+}
+
+async function saveQuotaThresholds() {
+  const thresholds = {
+    warning: parseInt(document.getElementById('warningThreshold').value, 10),
+    critical: parseInt(document.getElementById('criticalThreshold').value, 10)
+  };
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setQuotaThresholds', thresholds });
+    if (response && response.status === 'success') {
+      updateStatus(`Thresholds saved: amber from ${response.thresholds.warning}%, red from ${response.thresholds.critical}%.`, 'success');
+    } else {
+      updateStatus(`Failed to save thresholds: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error saving thresholds.', 'error');
+    console.error('ModelMeter Options: Error saving quota thresholds:', error);
+  }
+}
+
+async function loadPreSendGuard() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPreSendGuard' });
+    if (response && response.status === 'success') {
+      document.getElementById('preSendGuardEnabled').checked = response.settings.enabled;
+      document.getElementById('preSendGuardThreshold').value = response.settings.remainingThreshold;
+    }
+  } catch (error) {
+    console.error('ModelMeter Options: Error loading pre-send confirmation settings:', error);
+  }
+}
+
+async function savePreSendGuard() {
+  const settings = {
+    enabled: document.getElementById('preSendGuardEnabled').checked,
+    remainingThreshold: parseInt(document.getElementById('preSendGuardThreshold').value, 10)
+  };
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setPreSendGuard', settings });
+    if (response && response.status === 'success') {
+      updateStatus(response.settings.enabled
+        ? `Pre-send confirmation saved: asking at ${response.settings.remainingThreshold} messages left or fewer.`
+        : 'Pre-send confirmation turned off.', 'success');
+    } else {
+      updateStatus(`Failed to save pre-send confirmation: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error saving pre-send confirmation.', 'error');
+    console.error('ModelMeter Options: Error saving pre-send confirmation settings:', error);
+  }
+}
+
+let budgetPeriods = ['day', 'week', 'month']; // Replaced by the list the background accepts
+
+async function loadBudgets() {
+  const tableBody = document.getElementById('budgetsTableBody');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getBudgets' });
+    if (!response || response.status !== 'success') {
+      tableBody.innerHTML = '<tr><td colspan="4" class="error">Failed to load budgets.</td></tr>';
+      return;
+    }
+    budgetPeriods = response.periods;
+    document.getElementById('budgetWarningPercent').value = response.settings.warningPercent;
+    document.getElementById('budgetConfirmWhenExceeded').checked = response.settings.confirmWhenExceeded;
+    tableBody.innerHTML = '';
+    Object.keys(response.settings.models).sort().forEach(model => appendBudgetRow(model, response.settings.models[model]));
+    showEmptyBudgetsRow();
+  } catch (error) {
+    tableBody.innerHTML = '<tr><td colspan="4" class="error">Error loading budgets.</td></tr>';
+    console.error('ModelMeter Options: Error loading budgets:', error);
+  }
+}
+
+function showEmptyBudgetsRow() {
+  const tableBody = document.getElementById('budgetsTableBody');
+  const emptyRow = tableBody.querySelector('tr.empty-row');
+  const hasBudgets = !!tableBody.querySelector('tr[data-model]');
+  if (!hasBudgets && !emptyRow) {
+    tableBody.innerHTML = '<tr class="empty-row"><td colspan="4">No budgets yet.</td></tr>';
+  } else if (hasBudgets && emptyRow) {
+    emptyRow.remove();
+  }
+}
+
+function appendBudgetRow(model, budget) {
+  const tableBody = document.getElementById('budgetsTableBody');
+  const row = document.createElement('tr');
+  row.setAttribute('data-model', model);
+
+  const nameCell = document.createElement('td');
+  nameCell.className = 'model-name';
+  nameCell.textContent = model;
+
+  const countCell = document.createElement('td');
+  const countInput = document.createElement('input');
+  countInput.type = 'number';
+  countInput.min = '1';
+  countInput.required = true;
+  countInput.className = 'budget-count';
+  countInput.value = budget.count;
+  countCell.appendChild(countInput);
+
+  const periodCell = document.createElement('td');
+  const periodSelect = document.createElement('select');
+  periodSelect.className = 'budget-period';
+  budgetPeriods.forEach(period => {
+    const option = document.createElement('option');
+    option.value = period;
+    option.textContent = period;
+    periodSelect.appendChild(option);
+  });
+  periodSelect.value = budget.period;
+  periodCell.appendChild(periodSelect);
+
+  const actionCell = document.createElement('td');
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'row-btn danger-btn';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    showEmptyBudgetsRow();
+    updateStatus(`Budget for ${model} removed; click Save Budgets to apply.`, 'warning');
+  });
+  actionCell.appendChild(removeButton);
+
+  [nameCell, countCell, periodCell, actionCell].forEach(cell => row.appendChild(cell));
+  tableBody.appendChild(row);
+  showEmptyBudgetsRow();
+}
+
+async function saveBudgets() {
+  const models = {};
+  document.querySelectorAll('#budgetsTableBody tr[data-model]').forEach(row => {
+    models[row.getAttribute('data-model')] = {
+      count: parseInt(row.querySelector('.budget-count').value, 10),
+      period: row.querySelector('.budget-period').value
+    };
+  });
+  const settings = {
+    models: models,
+    warningPercent: parseInt(document.getElementById('budgetWarningPercent').value, 10),
+    confirmWhenExceeded: document.getElementById('budgetConfirmWhenExceeded').checked
+  };
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setBudgets', settings });
+    if (response && response.status === 'success') {
+      const count = Object.keys(response.settings.models).length;
+      updateStatus(`Budgets saved (${count} model${count === 1 ? '' : 's'}).`, 'success');
+    } else {
+      updateStatus(`Failed to save budgets: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error saving budgets.', 'error');
+    console.error('ModelMeter Options: Error saving budgets:', error);
+  }
+}
+
+async function loadFallbackOrder() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getFallbackOrder' });
+    if (response && response.status === 'success') {
+      document.getElementById('fallbackOrder').value = response.order.join(', ');
+    }
+  } catch (error) {
+    console.error('ModelMeter Options: Error loading fallback order:', error);
+  }
+}
+
+async function saveFallbackOrder() {
+  const order = document.getElementById('fallbackOrder').value.split(',').map(model => model.trim()).filter(Boolean);
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setFallbackOrder', order });
+    if (response && response.status === 'success') {
+      document.getElementById('fallbackOrder').value = response.order.join(', ');
+      updateStatus(response.order.length > 0
+        ? `Fallback order saved: ${response.order.join(' → ')}.`
+        : 'Fallback order cleared; no model will be suggested after a cap.', 'success');
+    } else {
+      updateStatus(`Failed to save fallback order: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error saving fallback order.', 'error');
+    console.error('ModelMeter Options: Error saving fallback order:', error);
+  }
+}
+
+// One row per model of the current plan (and any model with its own notification settings)
+async function loadNotificationSettings() {
+  const tableBody = document.getElementById('notificationsTableBody');
+  try {
+    const [settingsResponse, limitsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getNotificationSettings' }),
+      chrome.runtime.sendMessage({ action: 'getModelLimits' })
+    ]);
+    if (!settingsResponse || settingsResponse.status !== 'success') {
+      tableBody.innerHTML = '<tr><td colspan="5" class="error">Failed to load notification settings.</td></tr>';
+      return;
+    }
+
+    const { settings, kinds } = settingsResponse;
+    document.getElementById('notificationsEnabled').checked = settings.enabled;
+    document.getElementById('notificationThreshold').value = settings.thresholdPercent;
+    document.getElementById('quietHoursEnabled').checked = settings.quietHours.enabled;
+    document.getElementById('quietHoursStart').value = settings.quietHours.start;
+    document.getElementById('quietHoursEnd').value = settings.quietHours.end;
+
+    const limitModels = limitsResponse && limitsResponse.status === 'success' ? Object.keys(limitsResponse.limits) : [];
+    const models = [...new Set([...limitModels, ...Object.keys(settings.models)])].sort();
+    tableBody.innerHTML = '';
+    models.forEach(model => {
+      const row = document.createElement('tr');
+      row.setAttribute('data-model', model);
+      const nameCell = document.createElement('td');
+      nameCell.className = 'model-name';
+      nameCell.textContent = model;
+      row.appendChild(nameCell);
+      kinds.forEach(kind => {
+        const cell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.setAttribute('data-kind', kind);
+        checkbox.checked = (settings.models[model] || {})[kind] !== false;
+        cell.appendChild(checkbox);
+        row.appendChild(cell);
+      });
+      tableBody.appendChild(row);
+    });
+  } catch (error) {
+    tableBody.innerHTML = '<tr><td colspan="5" class="error">Error loading notification settings.</td></tr>';
+    console.error('ModelMeter Options: Error loading notification settings:', error);
+  }
+}
+
+async function saveNotificationSettings() {
+  const models = {};
+  document.querySelectorAll('#notificationsTableBody tr[data-model]').forEach(row => {
+    const kinds = {};
+    row.querySelectorAll('input[data-kind]').forEach(checkbox => {
+      kinds[checkbox.getAttribute('data-kind')] = checkbox.checked;
+    });
+    models[row.getAttribute('data-model')] = kinds;
+  });
+
+  const settings = {
+    enabled: document.getElementById('notificationsEnabled').checked,
+    thresholdPercent: parseInt(document.getElementById('notificationThreshold').value, 10),
+    quietHours: {
+      enabled: document.getElementById('quietHoursEnabled').checked,
+      start: document.getElementById('quietHoursStart').value,
+      end: document.getElementById('quietHoursEnd').value
+    },
+    models: models
+  };
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setNotificationSettings', settings });
+    if (response && response.status === 'success') {
+      updateStatus('Notification settings saved.', 'success');
+    } else {
+      updateStatus(`Failed to save notification settings: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error saving notification settings.', 'error');
+    console.error('ModelMeter Options: Error saving notification settings:', error);
+  }
+}
+
+async function exportLimitProfile() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportLimitProfile' });
+    if (!response || response.status !== 'success' || !response.profile) {
+      updateStatus('Failed to export limit profile.', 'error');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(response.profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `modelmeter-limits-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    updateStatus('Limit profile exported.', 'success');
+  } catch (error) {
+    updateStatus('Error exporting limit profile.', 'error');
+    console.error('ModelMeter Options: Error exporting limit profile:', error);
+  }
+}
+
+async function previewLimitProfileImport(file) {
+  hideProfileImportPreview();
+
+  let incomingProfile;
+  try {
+    incomingProfile = JSON.parse(await file.text());
+  } catch (error) {
+    updateStatus(`${file.name} is not valid JSON.`, 'error');
+    return;
+  }
+
+  const errors = LimitsRegistry.validateLimitProfile(incomingProfile);
+  if (errors.length > 0) {
+    updateStatus(`${file.name} is not a valid limit profile: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, 'error');
+    console.warn('ModelMeter Options: Limit profile validation errors:', errors);
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportLimitProfile' });
+    if (!response || response.status !== 'success' || !response.profile) {
+      updateStatus('Failed to load the current profile for comparison.', 'error');
+      return;
+    }
+
+    const changes = LimitsRegistry.diffLimitProfiles(response.profile, incomingProfile);
+    renderProfileDiff(file.name, changes);
+    pendingImportProfile = incomingProfile;
+  } catch (error) {
+    updateStatus('Error comparing limit profiles.', 'error');
+    console.error('ModelMeter Options: Error comparing limit profiles:', error);
+  }
+}
+
+function renderProfileDiff(fileName, changes) {
+  const summary = document.getElementById('profileImportSummary');
+  const diffBody = document.getElementById('profileDiffBody');
+
+  summary.textContent = changes.length === 0
+    ? `${fileName} matches the current limits. Applying it will still replace your overrides with the profile.`
+    : `${fileName} would make ${changes.length} change(s):`;
+
+  diffBody.innerHTML = '';
+  changes.forEach(change => {
+    // Imported files are untrusted, so cells are filled with textContent rather than innerHTML
+    const row = document.createElement('tr');
+    [change.scope, change.key, change.change, change.before || '—', change.after || '—'].forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 1) cell.className = 'model-name';
+      if (index === 2) cell.className = `diff-${change.change}`;
+      row.appendChild(cell);
+    });
+    diffBody.appendChild(row);
+  });
+
+  document.getElementById('profileImportPreview').classList.add('visible');
+}
+
+function hideProfileImportPreview() {
+  pendingImportProfile = null;
+  document.getElementById('profileImportPreview').classList.remove('visible');
+}
+
+async function applyPendingLimitProfile() {
+  if (!pendingImportProfile) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'importLimitProfile', profile: pendingImportProfile });
+    if (response && response.status === 'success') {
+      hideProfileImportPreview();
+      updateStatus('Limit profile imported.', 'success');
+      await populatePlanSelect();
+      loadLimitsTable();
+    } else {
+      updateStatus(`Failed to import limit profile: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error importing limit profile.', 'error');
+    console.error('ModelMeter Options: Error importing limit profile:', error);
+  }
+}
+
+async function createBackup() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportBackup' });
+    if (!response || response.status !== 'success' || !response.backup) {
+      updateStatus('Failed to create backup.', 'error');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(response.backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `modelmeter-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    updateStatus('Backup created.', 'success');
+  } catch (error) {
+    updateStatus('Error creating backup.', 'error');
+    console.error('ModelMeter Options: Error creating backup:', error);
+  }
+}
+
+async function previewBackupRestore(file) {
+  hideBackupRestorePreview();
+
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (error) {
+    updateStatus(`${file.name} is not valid JSON.`, 'error');
+    return;
+  }
+
+  const errors = BackupUtils.validateBackup(backup, StorageMigrations.CURRENT_SCHEMA_VERSION);
+  if (errors.length > 0) {
+    updateStatus(`${file.name} cannot be restored: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, 'error');
+    console.warn('ModelMeter Options: Backup validation errors:', errors);
+    return;
+  }
+
+  // Summarize the backup as it will look after the migrations the background runs on restore
+  const data = JSON.parse(JSON.stringify(backup.data));
+  let applied = [];
+  try {
+    applied = StorageMigrations.migrateSnapshot(data, backup.schemaVersion).applied;
+  } catch (error) {
+    updateStatus(`${file.name} cannot be restored: ${error.message}`, 'error');
+    return;
+  }
+  const summary = BackupUtils.summarizeBackupData(data);
+  const createdAt = new Date(backup.createdAt);
+  document.getElementById('backupRestoreSummary').textContent =
+    `${file.name}, created ${isNaN(createdAt) ? 'at an unknown time' : createdAt.toLocaleString()}` +
+    `${backup.extensionVersion ? ` by ModelMeter ${backup.extensionVersion}` : ''}: ` +
+    `${summary.accounts} account(s), ${summary.models} model(s), ${summary.events} usage event(s)` +
+    `${summary.settings.length > 0 ? `, settings: ${summary.settings.join(', ')}` : ''}.` +
+    `${applied.length > 0 ? ` It is from an older version and will be upgraded (${applied.length} migration(s)).` : ''}`;
+
+  pendingRestoreBackup = backup;
+  document.getElementById('backupRestorePreview').classList.add('visible');
+}
+
+function hideBackupRestorePreview() {
+  pendingRestoreBackup = null;
+  document.getElementById('backupRestorePreview').classList.remove('visible');
+}
+
+async function applyPendingBackup() {
+  if (!pendingRestoreBackup) return;
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+  if (mode === 'replace' && !confirm('Replace all current ModelMeter data with the backup? Usage recorded since the backup was made will be lost.')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'restoreBackup', backup: pendingRestoreBackup, mode: mode });
+    if (response && response.status === 'success') {
+      hideBackupRestorePreview();
+      updateStatus(mode === 'replace' ? 'Backup restored, current data replaced.' : 'Backup merged into the current data.', 'success');
+      await populatePlanSelect();
+      loadLimitsTable();
+    } else {
+      updateStatus(`Failed to restore backup: ${response ? response.message : 'no response'}`, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error restoring backup.', 'error');
+    console.error('ModelMeter Options: Error restoring backup:', error);
+  }
+}
+
+function updateStatus(message, type) {
+  const statusElement = document.querySelector('#status');
+  if (!statusElement) return;
+  statusElement.textContent = message;
+  statusElement.className = `status ${type || ''}`;
+}
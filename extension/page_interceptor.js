@@ -0,0 +1,304 @@
+// ModelMeter - page_interceptor.js
+// Runs in the page's own JavaScript world (a "world": "MAIN" content script at document_start), so its
+// fetch wrapper sees the requests ChatGPT itself makes; content.js lives in an isolated world and never
+// does. It has no access to chrome.* APIs: everything it learns is posted to content.js with
+// window.postMessage, tagged with PAGE_MESSAGE_SOURCE, and content.js answers pre-send checks the
+// same way, tagged with CONTENT_MESSAGE_SOURCE.
+//
+// Messages posted (type):
+// - apiRequest: { url, request: { model, action } } for every conversation API request
+// - assistantMessage: { messageId, model, requestedModel, conversationId } once a streamed reply completes
+// - streamEnded: { requestedModel, eventCount, assistantMessages } when a conversation stream closes
+// - planInfo: { url, data } with the account fields of a session or accounts response
+// - navigated: { url } when ChatGPT moves to another page without reloading
+// - preSendCheck: { requestId, model } before a message is sent; the request waits for content.js to
+//   answer with preSendAck, optionally preSendShown, then preSendDecision: { decision: { action, model } }
+
+(function() {
+  'use strict';
+
+  // Keep in sync with content.js
+  const PAGE_MESSAGE_SOURCE = 'modelmeter-page';
+  const CONTENT_MESSAGE_SOURCE = 'modelmeter-content';
+  // Without an acknowledgement in this time content.js isn't running, and the message is sent
+  const PRE_SEND_ACK_TIMEOUT_MS = 1000;
+  // An acknowledged check that neither decides nor shows the overlay in this time lets the message through
+  const PRE_SEND_DECISION_TIMEOUT_MS = 5000;
+
+  const API_ENDPOINTS = [
+    'https://chatgpt.com/backend-api/f/conversation',
+    'https://chatgpt.com/backend-api/conversation',
+    'https://chatgpt.com/backend-api/v1/conversation',
+  ];
+  // Endpoints ChatGPT's frontend loads the account (and therefore plan) information from
+  const PLAN_INFO_ENDPOINT_FRAGMENTS = ['/api/auth/session', '/backend-api/accounts/check'];
+  // Fields of those responses content.js reads; tokens and the rest stay in the page
+  const PLAN_INFO_FIELDS = ['account', 'user', 'accounts', 'account_ordering'];
+
+  if (window.__modelMeterPageInterceptor) return;
+  window.__modelMeterPageInterceptor = true;
+
+  function postToContentScript(type, payload) {
+    window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: type, ...payload }, window.location.origin);
+  }
+
+  // Pre-send checks waiting for content.js, by request id
+  const pendingPreSendChecks = new Map();
+  let preSendRequestCounter = 0;
+
+  window.addEventListener('message', event => {
+    if (event.source !== window || !event.data || event.data.source !== CONTENT_MESSAGE_SOURCE) return;
+    const pending = pendingPreSendChecks.get(event.data.requestId);
+    if (!pending) return;
+    if (event.data.type === 'preSendAck') {
+      pending.wait(PRE_SEND_DECISION_TIMEOUT_MS);
+    } else if (event.data.type === 'preSendShown') {
+      pending.wait(null); // The user is deciding; no time limit
+    } else if (event.data.type === 'preSendDecision') {
+      pending.resolve(event.data.decision || { action: 'send' });
+    }
+  });
+
+  // Asks content.js whether a message may go out with this model. Resolves to { action: 'send' },
+  // { action: 'cancel' } or { action: 'switch', model }; any missing answer lets the message through.
+  function requestPreSendDecision(model) {
+    const requestId = `presend-${Date.now()}-${++preSendRequestCounter}`;
+    return new Promise(resolve => {
+      let timer = null;
+      const pending = {
+        wait(timeoutMs) {
+          clearTimeout(timer);
+          if (timeoutMs !== null) timer = setTimeout(() => pending.resolve({ action: 'send' }), timeoutMs);
+        },
+        resolve(decision) {
+          clearTimeout(timer);
+          pendingPreSendChecks.delete(requestId);
+          resolve(decision);
+        }
+      };
+      pendingPreSendChecks.set(requestId, pending);
+      pending.wait(PRE_SEND_ACK_TIMEOUT_MS);
+      postToContentScript('preSendCheck', { requestId: requestId, model: model });
+    });
+  }
+
+  function toAbsoluteUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  // True for the endpoint that sends a message and streams the reply (not /prepare or other sub-paths)
+  function isConversationSendUrl(url) {
+    const path = url.split('?')[0];
+    return API_ENDPOINTS.some(endpoint => url.startsWith(endpoint)) &&
+           (path.endsWith('/backend-api/f/conversation') || path.endsWith('/backend-api/conversation'));
+  }
+
+  // JSON body of a fetch call, or null when it has none or isn't JSON
+  async function readRequestBody(resource, options) {
+    try {
+      if (resource instanceof Request && resource.body) {
+        return JSON.parse(await resource.clone().text());
+      }
+      if (options && typeof options.body === 'string') {
+        return JSON.parse(options.body);
+      }
+    } catch (e) {
+      // Not JSON; nothing to learn from it
+    }
+    return null;
+  }
+
+  // Reads a conversation SSE stream and reports the assistant reply once it has completed.
+  // Handles both the classic format (full message snapshots) and the delta encoding ("add" followed by patches).
+  async function processConversationStream(response, requestedModel) {
+    const streamState = { conversationId: null, lastAssistantMessage: null, eventCount: 0, assistantMessages: 0 };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop(); // Keep the incomplete trailing event for the next chunk
+        events.forEach(eventText => handleConversationStreamEvent(eventText, streamState, requestedModel));
+      }
+      buffer += decoder.decode();
+      if (buffer.trim()) handleConversationStreamEvent(buffer, streamState, requestedModel);
+    } catch (error) {
+      // Usually the user pressed "Stop generating"; the reply still used up a message
+      console.warn('ModelMeter Page: Conversation stream ended early:', error);
+    } finally {
+      completeAssistantMessage(streamState, requestedModel);
+      postToContentScript('streamEnded', {
+        requestedModel: requestedModel || null,
+        eventCount: streamState.eventCount,
+        assistantMessages: streamState.assistantMessages
+      });
+    }
+  }
+
+  // Handles one server-sent event of a conversation stream
+  function handleConversationStreamEvent(eventText, streamState, requestedModel) {
+    const data = eventText.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) return;
+    streamState.eventCount++;
+
+    if (data === '[DONE]') {
+      completeAssistantMessage(streamState, requestedModel);
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      return; // Not JSON (e.g. keep-alive comments)
+    }
+    if (!payload || typeof payload !== 'object') return; // e.g. the "v1" delta encoding marker
+
+    if (payload.conversation_id) streamState.conversationId = payload.conversation_id;
+    if (payload.type === 'message_stream_complete') {
+      completeAssistantMessage(streamState, requestedModel);
+      return;
+    }
+
+    // Classic format sends the whole message; delta encoding sends it once in the "add" operation
+    const message = payload.message || (payload.v && typeof payload.v === 'object' && payload.v.message);
+    if (message) {
+      if (payload.v && payload.v.conversation_id) streamState.conversationId = payload.v.conversation_id;
+      trackStreamMessage(message, streamState, requestedModel);
+      return;
+    }
+
+    // Delta encoding marks the end of the turn with a patch on /message/end_turn
+    const operations = payload.o === 'patch' && Array.isArray(payload.v) ? payload.v : [payload];
+    if (operations.some(operation => operation && operation.p === '/message/end_turn' && operation.v === true)) {
+      completeAssistantMessage(streamState, requestedModel);
+    }
+  }
+
+  // Remembers the latest assistant message of the stream, completing it when it ends the turn
+  function trackStreamMessage(message, streamState, requestedModel) {
+    if (!message.id || !message.author || message.author.role !== 'assistant') return;
+
+    const previous = streamState.lastAssistantMessage;
+    if (!previous || previous.id !== message.id) {
+      streamState.lastAssistantMessage = { id: message.id, model: null, reported: false };
+    }
+    const modelSlug = message.metadata && message.metadata.model_slug;
+    if (modelSlug) streamState.lastAssistantMessage.model = modelSlug;
+
+    if (message.end_turn === true && message.status === 'finished_successfully') {
+      completeAssistantMessage(streamState, requestedModel);
+    }
+  }
+
+  // Reports the last assistant message of the stream once; content.js counts it
+  function completeAssistantMessage(streamState, requestedModel) {
+    const message = streamState.lastAssistantMessage;
+    if (!message || message.reported) return;
+    message.reported = true;
+    streamState.assistantMessages++;
+    postToContentScript('assistantMessage', {
+      messageId: message.id,
+      model: message.model,
+      requestedModel: requestedModel || null,
+      conversationId: streamState.conversationId
+    });
+  }
+
+  // Relays the account fields of a session or accounts response
+  async function relayPlanInfo(response, url) {
+    try {
+      const data = await response.json();
+      if (!data || typeof data !== 'object') return;
+      const planInfo = {};
+      PLAN_INFO_FIELDS.filter(field => field in data).forEach(field => { planInfo[field] = data[field]; });
+      if (Object.keys(planInfo).length > 0) postToContentScript('planInfo', { url: url, data: planInfo });
+    } catch (e) {
+      // Not JSON; nothing to learn from it
+    }
+  }
+
+  // ChatGPT is a single-page app; report its client-side navigations
+  ['pushState', 'replaceState'].forEach(methodName => {
+    const originalMethod = history[methodName];
+    history[methodName] = function(...args) {
+      const result = originalMethod.apply(this, args);
+      postToContentScript('navigated', { url: window.location.href });
+      return result;
+    };
+  });
+  window.addEventListener('popstate', () => postToContentScript('navigated', { url: window.location.href }));
+
+  const originalFetch = window.fetch;
+  if (typeof originalFetch !== 'function') {
+    console.error('ModelMeter Page: window.fetch is missing, conversation requests cannot be read');
+    return;
+  }
+
+  window.fetch = async function(...args) {
+    const resource = args[0];
+    const options = args[1] || {};
+    const url = toAbsoluteUrl(resource instanceof Request ? resource.url : resource);
+
+    let requestBody = null;
+    let fetchArgs = args;
+    if (API_ENDPOINTS.some(endpoint => url.startsWith(endpoint))) {
+      requestBody = await readRequestBody(resource, options);
+
+      // Ask before a message goes out with a model that is nearly used up or capped; the user may
+      // cancel (the page sees an aborted request) or send this message with another model instead
+      if (isConversationSendUrl(url) && requestBody && requestBody.model) {
+        const decision = await requestPreSendDecision(requestBody.model);
+        if (decision.action === 'cancel') {
+          throw new DOMException('Message not sent (cancelled in ModelMeter)', 'AbortError');
+        }
+        if (decision.action === 'switch' && decision.model) {
+          requestBody.model = decision.model;
+          fetchArgs = resource instanceof Request
+            ? [new Request(resource, { body: JSON.stringify(requestBody) }), ...args.slice(1)]
+            : [resource, { ...options, body: JSON.stringify(requestBody) }, ...args.slice(2)];
+        }
+      }
+
+      if (requestBody && requestBody.model) {
+        postToContentScript('apiRequest', { url: url, request: { model: requestBody.model, action: requestBody.action || null } });
+      }
+    }
+
+    const responsePromise = originalFetch.apply(this, fetchArgs);
+
+    // Conversation replies are streamed as server-sent events; read a clone (a tee of the body) so
+    // the page still reads the original stream
+    if (isConversationSendUrl(url)) {
+      const requestedModel = requestBody && requestBody.model;
+      responsePromise.then(response => {
+        const contentType = response.headers.get('content-type') || '';
+        if (response.ok && response.body && contentType.includes('text/event-stream')) {
+          processConversationStream(response.clone(), requestedModel);
+        }
+      }).catch(() => { /* The page handles its own fetch errors */ });
+    }
+
+    // Account endpoints tell content.js which account and plan the user is on; read a clone so the
+    // page gets the original
+    if (PLAN_INFO_ENDPOINT_FRAGMENTS.some(fragment => url.includes(fragment))) {
+      responsePromise.then(response => {
+        if (response.ok) relayPlanInfo(response.clone(), url);
+      }).catch(() => { /* The page handles its own fetch errors */ });
+    }
+
+    return responsePromise;
+  };
+})();
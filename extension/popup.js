@@ -1,31 +1,97 @@
 // Simple popup script for ModelMeter
 
+// Account whose data is shown; null follows the account active in ChatGPT
+let selectedAccountId = null;
+
+const HISTORY_DAYS = 30;
+const HEATMAP_DAYS = 12 * 7;
+
+// Usage events of the selected account behind the history charts, kept for re-filtering the heatmap
+let historyEvents = [];
+
 document.addEventListener('DOMContentLoaded', function() {
   console.log('ModelMeter Popup: Loaded');
   setupEventListeners();
   updateConnectionStatus(); // This also pings content script for current model
+  updateAccountSelect();
   updateCountersDisplay();  // Fetch and display all model counts
+  updateHistoryChart();
+  updateBudgetsDisplay();
+  setDefaultExportRange();
 
   // Listen for messages from background script (e.g., after a reset)
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'countersDisplayShouldRefresh') {
       console.log('ModelMeter Popup: Received request to refresh counters display');
+      updateAccountSelect();
       updateCountersDisplay();
+      updateHistoryChart();
+      updateBudgetsDisplay();
     }
   });
 });
 
+// Fills the account picker with every account ModelMeter has seen, the active one marked
+async function updateAccountSelect() {
+  const accountSelect = document.querySelector('#accountSelect');
+  if (!accountSelect) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getAccounts' });
+    if (!response || response.status !== 'success') return;
+    accountSelect.innerHTML = '';
+    response.accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.active ? `${account.label} (active)` : account.label;
+      accountSelect.appendChild(option);
+    });
+    accountSelect.value = selectedAccountId || response.activeAccountId;
+  } catch (error) {
+    console.error('ModelMeter Popup: Error loading accounts:', error);
+  }
+}
+
 function setupEventListeners() {
   document.querySelector('#refreshButton')?.addEventListener('click', function() {
     console.log('ModelMeter Popup: Refresh button clicked');
     updateConnectionStatus();
     updateCountersDisplay();
+    updateHistoryChart();
+    updateBudgetsDisplay();
+  });
+
+  document.querySelector('#accountSelect')?.addEventListener('change', function() {
+    selectedAccountId = this.value || null;
+    updateCountersDisplay();
+    updateHistoryChart();
+    updateBudgetsDisplay();
+  });
+
+  document.querySelector('#heatmapModel')?.addEventListener('change', function() {
+    renderUsageHeatmap();
+  });
+
+  document.querySelector('#exportButton')?.addEventListener('click', function() {
+    exportUsageHistory();
+  });
+
+  // Open the full-page dashboard for the account shown here
+  document.querySelector('#dashboardButton')?.addEventListener('click', function() {
+    chrome.runtime.sendMessage({ action: 'openDashboard', accountId: selectedAccountId }).then(() => window.close()).catch(error => {
+      updateStatus('Error opening the dashboard.', 'error');
+      console.error('ModelMeter Popup: Error opening dashboard:', error);
+    });
+  });
+
+  // Open the limits editor (options page)
+  document.querySelector('#limitsButton')?.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
   });
 
   // Add event listener for Reset All button
   document.querySelector('#resetButton')?.addEventListener('click', function() {
     if (confirm('Are you sure you want to reset all model counters?')) {
-      chrome.runtime.sendMessage({ action: 'resetAllCounters' }).then(response => {
+      chrome.runtime.sendMessage({ action: 'resetAllCounters', accountId: selectedAccountId }).then(response => {
         if (response && response.status === 'success') {
           updateStatus('All counters reset.', 'success');
           updateCountersDisplay();
@@ -101,9 +167,12 @@ async function updateCountersDisplay() {
   countersElement.innerHTML = '<div class="no-data">Loading counts...</div>'; 
 
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
+    const response = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: selectedAccountId });
     if (response && response.status === 'success' && response.data) {
       const modelData = response.data; // Keys are raw model names
+      // Rolling-window models count the messages of the current window instead of the stored count
+      const quotaResponse = await chrome.runtime.sendMessage({ action: 'getQuotaStatus', accountId: selectedAccountId });
+      const quotaStatus = (quotaResponse && quotaResponse.status === 'success') ? quotaResponse.quota : {};
       countersElement.innerHTML = ''; 
 
       const modelKeys = Object.keys(modelData);
@@ -122,10 +191,14 @@ async function updateCountersDisplay() {
           hour: '2-digit', minute: '2-digit' 
         });
 
-        // Calculate expiration date (until) if available
+        const modelQuota = quotaStatus[modelFullName];
+        const isRolling = !!modelQuota && modelQuota.windowType === 'rolling';
+
+        // Calculate expiration date (until) if available; for rolling windows, when the next slot frees up
         let untilDateTime = '';
-        if (item.nextResetTime) {
-          untilDateTime = new Date(item.nextResetTime).toLocaleString(undefined, {
+        const untilTimestamp = isRolling ? modelQuota.nextSlotTime : item.nextResetTime;
+        if (untilTimestamp) {
+          untilDateTime = new Date(untilTimestamp).toLocaleString(undefined, {
             year: 'numeric', month: 'short', day: 'numeric',
             hour: '2-digit', minute: '2-digit'
           });
@@ -137,17 +210,25 @@ async function updateCountersDisplay() {
         countElement.innerHTML = `
           <div class="model-details">
             <div class="model-info">
-              <span class="model-name">${displayName}</span>
-              <span class="reset-timestamp">Since: ${resetDateTime}</span>
-              ${untilDateTime ? `<span class="reset-timestamp">Until: ${untilDateTime}</span>` : ''}
+              <span class="model-name"></span>
+              <span class="reset-timestamp window-text"></span>
+              ${untilDateTime ? `<span class="reset-timestamp">${isRolling ? 'Next slot' : 'Until'}: ${untilDateTime}</span>` : ''}
+              ${item.autoRoutedCount ? `<span class="reset-timestamp">${item.autoRoutedCount} via Auto</span>` : ''}
             </div>
           </div>
           <div class="count-actions">
-            <span class="count">${item.count}</span>
-            <button class="config-btn" data-model="${modelFullName}" title="Configure ${displayName}">Config</button>
-            <button class="reset-single-btn" data-model="${modelFullName}" title="Reset count for ${displayName}">Reset</button>
+            <span class="count">${modelQuota ? modelQuota.used : item.count}</span>
+            <button class="config-btn">Config</button>
+            <button class="reset-single-btn">Reset</button>
           </div>
         `;
+        // Model names and limit descriptions can come from an imported limits profile, so they are set as text
+        countElement.querySelector('.model-name').textContent = displayName;
+        countElement.querySelector('.window-text').textContent = isRolling ? `Rolling window · ${modelQuota.displayText}` : `Since: ${resetDateTime}`;
+        countElement.querySelector('.config-btn').setAttribute('data-model', modelFullName);
+        countElement.querySelector('.config-btn').title = `Configure ${displayName}`;
+        countElement.querySelector('.reset-single-btn').setAttribute('data-model', modelFullName);
+        countElement.querySelector('.reset-single-btn').title = `Reset count for ${displayName}`;
         countersElement.appendChild(countElement);
 
         // Add event listener for config button
@@ -164,7 +245,8 @@ async function updateCountersDisplay() {
             try {
               const resetResponse = await chrome.runtime.sendMessage({
                 action: 'resetSingleModelCounter',
-                modelFullName: modelToReset // Send raw name
+                modelFullName: modelToReset, // Send raw name
+                accountId: selectedAccountId
               });
               if (resetResponse && resetResponse.status === 'success') {
                 updateStatus(`Count for ${modelToReset} reset.`, 'success'); // Use raw name in status
@@ -189,6 +271,165 @@ async function updateCountersDisplay() {
   }
 }
 
+// Messages per model per day of the selected account, with its rate-limit hits marked, and the
+// weekday/hour heatmap of the same log
+const BUDGET_LEVEL_COLORS = { ok: '#28a745', warning: '#d97706', exhausted: '#dc3545' };
+
+// Personal budgets of the selected account: used of budgeted in the current day, week or month
+async function updateBudgetsDisplay() {
+  const budgetsElement = document.querySelector('#budgets');
+  if (!budgetsElement) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getBudgetStatus', accountId: selectedAccountId });
+    if (!response || response.status !== 'success') {
+      budgetsElement.innerHTML = '<div class="no-data error">Failed to load budgets.</div>';
+      return;
+    }
+    const models = Object.keys(response.budgets).sort();
+    if (models.length === 0) {
+      budgetsElement.innerHTML = '<div class="no-data">No budgets set. Add them on the options page.</div>';
+      return;
+    }
+
+    const { BUDGET_PERIOD_LABELS } = window.ModelMeterUtils;
+    budgetsElement.innerHTML = '';
+    models.forEach(model => {
+      const budget = response.budgets[model];
+      const row = document.createElement('div');
+      row.className = 'budget-row';
+      row.title = `Starts over ${new Date(budget.resetTime).toLocaleString()}`;
+
+      const label = document.createElement('div');
+      label.className = 'budget-label';
+      const name = document.createElement('span');
+      name.className = 'model-name';
+      name.textContent = model;
+      const usage = document.createElement('span');
+      usage.textContent = `${budget.used} / ${budget.limit} ${BUDGET_PERIOD_LABELS[budget.period].current}`;
+      if (budget.level === 'exhausted') usage.className = 'error';
+      label.appendChild(name);
+      label.appendChild(usage);
+
+      const bar = document.createElement('div');
+      bar.className = 'budget-bar';
+      const fill = document.createElement('div');
+      fill.className = 'budget-fill';
+      fill.style.width = `${Math.min(100, (budget.used / budget.limit) * 100)}%`;
+      fill.style.background = BUDGET_LEVEL_COLORS[budget.level] || BUDGET_LEVEL_COLORS.ok;
+      bar.appendChild(fill);
+
+      row.appendChild(label);
+      row.appendChild(bar);
+      budgetsElement.appendChild(row);
+    });
+  } catch (error) {
+    budgetsElement.innerHTML = '<div class="no-data error">Error loading budgets.</div>';
+    console.error('ModelMeter Popup: Error fetching budgets:', error);
+  }
+}
+
+async function updateHistoryChart() {
+  const chartElement = document.querySelector('#historyChart');
+  if (!chartElement) return;
+
+  const today = new Date();
+  const since = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (HISTORY_DAYS - 1)).getTime();
+  const heatmapSince = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (HEATMAP_DAYS - 1)).getTime();
+  try {
+    const [eventsResponse, hitsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getUsageEvents', since: Math.min(since, heatmapSince), accountId: selectedAccountId }),
+      chrome.runtime.sendMessage({ action: 'getRateLimitHits', since: since, accountId: selectedAccountId })
+    ]);
+    if (!eventsResponse || eventsResponse.status !== 'success') {
+      chartElement.innerHTML = '<div class="no-data error">Failed to load usage history.</div>';
+      console.error('ModelMeter Popup: Failed to get usage events', eventsResponse);
+      return;
+    }
+    historyEvents = eventsResponse.events;
+    UsageCharts.renderDailyStackedChart(chartElement, {
+      events: historyEvents,
+      hits: (hitsResponse && hitsResponse.status === 'success') ? hitsResponse.hits : [],
+      days: HISTORY_DAYS
+    });
+    updateHeatmapModelSelect();
+    renderUsageHeatmap();
+  } catch (error) {
+    chartElement.innerHTML = '<div class="no-data error">Error loading usage history.</div>';
+    console.error('ModelMeter Popup: Error fetching usage history:', error);
+  }
+}
+
+// Offers every model in the loaded history, keeping the current choice when it is still there
+function updateHeatmapModelSelect() {
+  const modelSelect = document.querySelector('#heatmapModel');
+  if (!modelSelect) return;
+  const previous = modelSelect.value;
+  const models = [...new Set(historyEvents.map(event => event.model))].sort();
+  modelSelect.innerHTML = '<option value="">All models</option>';
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    modelSelect.appendChild(option);
+  });
+  modelSelect.value = models.includes(previous) ? previous : '';
+}
+
+function renderUsageHeatmap() {
+  const heatmapElement = document.querySelector('#usageHeatmap');
+  if (!heatmapElement) return;
+  UsageCharts.renderHourlyHeatmap(heatmapElement, {
+    events: historyEvents,
+    model: document.querySelector('#heatmapModel')?.value || null
+  });
+}
+
+// Export range defaults to the current month so far
+function setDefaultExportRange() {
+  const today = new Date();
+  const toDateInputValue = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  document.getElementById('exportSince').value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1));
+  document.getElementById('exportUntil').value = toDateInputValue(today);
+}
+
+// Downloads the usage history of the selected account for the chosen days (local time, both inclusive)
+async function exportUsageHistory() {
+  const sinceValue = document.getElementById('exportSince').value;
+  const untilValue = document.getElementById('exportUntil').value;
+  const since = sinceValue ? new Date(`${sinceValue}T00:00:00`).getTime() : null;
+  const until = untilValue ? new Date(`${untilValue}T23:59:59.999`).getTime() : null;
+  if (since && until && since > until) {
+    updateStatus('The export start date is after the end date.', 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'exportUsageHistory',
+      kind: document.getElementById('exportKind').value,
+      since: since,
+      until: until,
+      accountId: selectedAccountId
+    });
+    if (!response || response.status !== 'success') {
+      updateStatus(`Failed to export usage: ${(response && response.message) || 'no response'}`, 'error');
+      return;
+    }
+
+    const blob = new Blob([response.content], { type: response.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = response.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    updateStatus(`Exported ${response.filename}.`, 'success');
+  } catch (error) {
+    updateStatus('Error exporting usage history.', 'error');
+    console.error('ModelMeter Popup: Error exporting usage history:', error);
+  }
+}
+
 function updateStatus(message, type) {
   const statusElement = document.querySelector('#status');
   if (!statusElement) return;
@@ -233,7 +474,7 @@ async function saveModelConfig() {
 
   try {
     // Get current model data
-    const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
+    const response = await chrome.runtime.sendMessage({ action: 'getModelData', accountId: selectedAccountId });
     if (!response || response.status !== 'success' || !response.data) {
       updateStatus('Failed to get model data for configuration.', 'error');
       return;
@@ -246,7 +487,7 @@ async function saveModelConfig() {
     }
 
     // Get model limit information to calculate the since date based on until date
-    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan' });
+    const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan', accountId: selectedAccountId });
     const userPlan = (planResponse && planResponse.status === 'success') ? planResponse.plan : 'FREE';
     
     // Request update with the new configuration
@@ -255,7 +496,8 @@ async function saveModelConfig() {
       modelName: modelName,
       count: count,
       untilTimestamp: expireDate,
-      userPlan: userPlan
+      userPlan: userPlan,
+      accountId: selectedAccountId
     });
 
     if (updateResponse && updateResponse.status === 'success') {
@@ -7,15 +7,183 @@ console.log('ModelMeter Storage Debug: 📚 Storage utils loaded (using raw mode
   'use strict';
 
   const MODEL_DATA_KEY = 'modelData';
+  const LIMIT_OVERRIDES_KEY = 'limitOverrides';
+  const LIMIT_PROFILE_KEY = 'limitProfile';
+  // The usage event log is kept as one list per UTC day, under "usageEvents:<YYYY-MM-DD>", so counting a
+  // message reads and writes a single day. Days older than the retention window are dropped by
+  // pruneUsageEventsInStorage (run from the background's daily alarm) and never read.
+  const USAGE_EVENTS_KEY = 'usageEvents';
+  const USAGE_EVENTS_DAY_KEY_PATTERN = /^usageEvents:\d{4}-\d{2}-\d{2}$/;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const USAGE_EVENT_RETENTION_MS = 365 * DAY_MS;
+  // Append-only log of rate-limit banners: { model, timestamp, kind: 'limit'|'warning', resetTime, accountId }
+  const RATE_LIMIT_HITS_KEY = 'rateLimitHits';
+  const RATE_LIMIT_HIT_KINDS = ['limit', 'warning'];
+  // A repeated banner without a known reset time counts as the same hit for this long
+  const RATE_LIMIT_HIT_REPEAT_MS = 60 * 60 * 1000;
+  // Layout version of everything stored next to MODEL_DATA_KEY, see migrations.js
+  const SCHEMA_VERSION_KEY = 'modelDataSchemaVersion';
+  const USER_PLAN_KEY = 'userPlan';
+  const USER_PLAN_SOURCE_KEY = 'userPlanSource';
+  const DETECTED_PLAN_KEY = 'detectedPlan';
+
+  // Counters and plan are kept per signed-in ChatGPT account, under "<key>:<accountId>". ACCOUNTS_KEY
+  // holds { [accountId]: { label, email, structure, firstSeen, lastSeen } } and ACTIVE_ACCOUNT_KEY the
+  // account last seen in a ChatGPT tab. Usage recorded before any account was identified belongs to
+  // DEFAULT_ACCOUNT_ID until the first identified account takes it over.
+  const ACCOUNTS_KEY = 'accounts';
+  const ACTIVE_ACCOUNT_KEY = 'activeAccountId';
+  const DEFAULT_ACCOUNT_ID = 'unidentified';
+  const ACCOUNT_SCOPED_KEYS = [MODEL_DATA_KEY, USER_PLAN_KEY, USER_PLAN_SOURCE_KEY, DETECTED_PLAN_KEY];
+
+  // Share of a model's limit, in percent, from which it is shown as running low (warning) and nearly
+  // used up (critical)
+  const QUOTA_THRESHOLDS_KEY = 'quotaThresholds';
+  const DEFAULT_QUOTA_THRESHOLDS = { warning: 70, critical: 90 };
+
+  // Desktop notifications. Every kind can be switched off per model (models: { [model]: { [kind]: false } },
+  // models not listed get every kind); thresholdPercent is the share of the limit that triggers the
+  // 'threshold' alert, and no notification is shown between quietHours.start and .end ("HH:MM", local).
+  const NOTIFICATION_SETTINGS_KEY = 'notificationSettings';
+  const NOTIFICATION_KINDS = ['threshold', 'limitHit', 'reset', 'budget'];
+  const DEFAULT_NOTIFICATION_SETTINGS = {
+    enabled: true,
+    thresholdPercent: 80,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    models: {}
+  };
+
+  // Confirmation before sending a message with a model that has remainingThreshold messages or fewer
+  // left, or that is capped
+  const PRE_SEND_GUARD_KEY = 'preSendGuard';
+  const DEFAULT_PRE_SEND_GUARD = { enabled: true, remainingThreshold: 2 };
+
+  // Models to suggest, in order of preference, when ChatGPT caps the one in use
+  const FALLBACK_ORDER_KEY = 'fallbackOrder';
+  const DEFAULT_FALLBACK_ORDER = ['o3', 'o4-mini-high', 'gpt-4o'];
+
+  // Personal message budgets, separate from ChatGPT's limits: models: { [model]: { count, period } } with
+  // period a calendar 'day', 'week' (from Monday) or 'month' in local time. A budget warns at
+  // warningPercent of its count and, with confirmWhenExceeded, triggers the pre-send confirmation once used up.
+  const BUDGETS_KEY = 'budgets';
+  const BUDGET_PERIODS = ['day', 'week', 'month'];
+  const DEFAULT_BUDGET_SETTINGS = { models: {}, warningPercent: 80, confirmWhenExceeded: false };
+
+  // Where the bubble is docked on chatgpt.com, per window size: { [windowSize]: dock }, windowSize as
+  // "<width>x<height>" (rounded by the content script)
+  const BUBBLE_DOCKS_KEY = 'bubbleDocks';
+  const BUBBLE_DOCK_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'header'];
+
+  // How a usage event was observed: the conversation stream, the rendered page, or entered by the user
+  const USAGE_EVENT_SOURCES = ['sse', 'dom', 'manual'];
 
   // No longer needed - using raw names
   // function normalizeModelName(modelName) { ... }
 
-  async function getModelDataFromStorage() {
+  // Every mutation of model data and the usage log runs through this queue, one task at a time.
+  // The background is the only writer (content scripts and pages send messages), so increments and
+  // resets coming from several tabs can no longer interleave their read-modify-write steps.
+  let writeQueue = Promise.resolve();
+
+  function enqueueStorageWrite(task) {
+    const result = writeQueue.then(task);
+    writeQueue = result.catch(() => { /* a failed task must not block the ones queued after it */ });
+    return result;
+  }
+
+  function accountScopedKey(baseKey, accountId) {
+    return `${baseKey}:${accountId}`;
+  }
+
+  // True for baseKey itself and for any account's copy of it (useful in storage.onChanged listeners)
+  function isAccountScopedKey(key, baseKey) {
+    return key === baseKey || key.startsWith(`${baseKey}:`);
+  }
+
+  // The given account id, or the active account when none is given
+  async function resolveAccountId(accountId) {
+    if (accountId) return accountId;
+    const result = await chrome.storage.local.get(ACTIVE_ACCOUNT_KEY);
+    return result[ACTIVE_ACCOUNT_KEY] || DEFAULT_ACCOUNT_ID;
+  }
+
+  async function getActiveAccountIdFromStorage() {
+    return resolveAccountId();
+  }
+
+  // Known accounts, shaped as { [accountId]: { label, email, structure, firstSeen, lastSeen } }
+  async function getAccountsFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(ACCOUNTS_KEY);
+      return result[ACCOUNTS_KEY] || {};
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get accounts', error);
+      return {};
+    }
+  }
+
+  // Records the account signed in to ChatGPT and makes it the active one.
+  // account: { id, label, email, structure }. Resolves with { accountId, changed, adopted }.
+  async function setActiveAccountInStorage(account) {
+    if (!account || typeof account.id !== 'string' || !account.id || account.id === DEFAULT_ACCOUNT_ID) {
+      throw new Error('Invalid account id.');
+    }
+    return enqueueStorageWrite(async () => {
+      const data = await chrome.storage.local.get([ACCOUNTS_KEY, ACTIVE_ACCOUNT_KEY]);
+      const accounts = data[ACCOUNTS_KEY] || {};
+      const existing = accounts[account.id];
+      const now = Date.now();
+
+      // The first identified account inherits what was counted before accounts were told apart
+      let adopted = false;
+      if (!existing && !Object.keys(accounts).some(id => id !== DEFAULT_ACCOUNT_ID)) {
+        adopted = await moveAccountData(DEFAULT_ACCOUNT_ID, account.id);
+        delete accounts[DEFAULT_ACCOUNT_ID];
+      }
+
+      accounts[account.id] = {
+        label: account.label || (existing && existing.label) || account.id,
+        email: account.email || (existing && existing.email) || null,
+        structure: account.structure || (existing && existing.structure) || null,
+        firstSeen: (existing && existing.firstSeen) || now,
+        lastSeen: now
+      };
+      await chrome.storage.local.set({ [ACCOUNTS_KEY]: accounts, [ACTIVE_ACCOUNT_KEY]: account.id });
+      const changed = data[ACTIVE_ACCOUNT_KEY] !== account.id;
+      if (changed || adopted) {
+        console.log(`ModelMeter Storage Debug: 👤 Active account: ${accounts[account.id].label}${adopted ? ' (took over unidentified usage)' : ''}`);
+      }
+      return { accountId: account.id, changed, adopted };
+    });
+  }
+
+  // Unqueued move of one account's counters, plan and usage events to another account id.
+  // Returns false when the source account has nothing stored.
+  async function moveAccountData(fromAccountId, toAccountId) {
+    const fromKeys = ACCOUNT_SCOPED_KEYS.map(key => accountScopedKey(key, fromAccountId));
+    const stored = await chrome.storage.local.get(null);
+    const logKeys = Object.keys(stored).filter(key => key === RATE_LIMIT_HITS_KEY || isUsageEventsDayKey(key));
+    const logsToRelabel = logKeys.filter(key => (stored[key] || []).some(record => record.accountId === fromAccountId));
+    if (!fromKeys.some(key => key in stored) && logsToRelabel.length === 0) return false;
+
+    const moved = {};
+    ACCOUNT_SCOPED_KEYS.forEach((key, index) => {
+      if (fromKeys[index] in stored) moved[accountScopedKey(key, toAccountId)] = stored[fromKeys[index]];
+    });
+    logsToRelabel.forEach(key => {
+      moved[key] = stored[key].map(record => record.accountId === fromAccountId ? { ...record, accountId: toAccountId } : record);
+    });
+    await chrome.storage.local.set(moved);
+    await chrome.storage.local.remove(fromKeys);
+    return true;
+  }
+
+  async function getModelDataFromStorage(accountId) {
     try {
-      console.log('ModelMeter Storage Debug: 🔍 Getting all model data from storage...');
-      const data = await chrome.storage.local.get(MODEL_DATA_KEY);
-      const modelData = data[MODEL_DATA_KEY] || {};
+      const modelDataKey = accountScopedKey(MODEL_DATA_KEY, await resolveAccountId(accountId));
+      console.log(`ModelMeter Storage Debug: 🔍 Getting all model data from storage (${modelDataKey})...`);
+      const data = await chrome.storage.local.get(modelDataKey);
+      const modelData = data[modelDataKey] || {};
       console.log('ModelMeter Storage Debug: 📊 Retrieved model data:', modelData);
       return modelData;
     } catch (error) {
@@ -24,103 +192,407 @@ console.log('ModelMeter Storage Debug: 📚 Storage utils loaded (using raw mode
     }
   }
 
-  async function saveModelDataToStorage(modelData) {
+  // Unqueued write, only for use inside a queued task
+  async function writeModelData(modelData, accountId) {
+    console.log(`ModelMeter Storage Debug: 💾 Saving model data to storage (account ${accountId}):`, modelData);
+    await chrome.storage.local.set({ [accountScopedKey(MODEL_DATA_KEY, accountId)]: modelData });
+    console.log('ModelMeter Storage Debug: ✅ Model data saved successfully');
+  }
+
+  async function saveModelDataToStorage(modelData, accountId) {
     try {
-      console.log('ModelMeter Storage Debug: 💾 Saving model data to storage:', modelData);
-      await chrome.storage.local.set({ [MODEL_DATA_KEY]: modelData });
-      console.log('ModelMeter Storage Debug: ✅ Model data saved successfully');
+      await enqueueStorageWrite(async () => writeModelData(modelData, await resolveAccountId(accountId)));
     } catch (error) {
       console.error('ModelMeter Storage Debug: ❌ Error saving model data:', error);
     }
   }
 
-  async function incrementModelCounterInStorage(modelFullName) {
+  // Atomically reads the model data of an account (default: the active one), lets mutator(modelData)
+  // change it in place and saves it. The mutator may be async but must not call other queued storage
+  // functions (it would wait on itself). Resolves with the mutator's return value; if the mutator
+  // throws, nothing is written.
+  async function updateModelDataInStorage(mutator, accountId) {
+    return enqueueStorageWrite(async () => {
+      const resolvedAccountId = await resolveAccountId(accountId);
+      const modelData = await getModelDataFromStorage(resolvedAccountId);
+      const result = await mutator(modelData);
+      await writeModelData(modelData, resolvedAccountId);
+      return result;
+    });
+  }
+
+  // Records one counted message in the usage event log and bumps the derived per-model count.
+  // options: { conversationId, messageId, source, autoRouted, accountId } - autoRouted marks a message
+  // sent with "Auto" that ChatGPT routed to this model; accountId defaults to the active account.
+  // Resolves with the new count, or null when the message was already counted (same messageId and account).
+  async function incrementModelCounterInStorage(modelFullName, options = {}) {
     if (!modelFullName) {
       console.error('ModelMeter Storage Debug: ❌ Cannot increment counter - modelFullName is empty/null');
       return;
     }
     console.log(`ModelMeter Storage Debug: 🔢 Incrementing counter for model: ${modelFullName}`);
-    const modelData = await getModelDataFromStorage();
-    if (!modelData[modelFullName]) {
-      console.log(`ModelMeter Storage Debug: 🆕 Creating new entry for model: ${modelFullName}`);
-      modelData[modelFullName] = { count: 0, lastResetTimestamp: Date.now() };
+    return enqueueStorageWrite(async () => {
+      const accountId = await resolveAccountId(options.accountId);
+      const logged = await writeUsageEvents([{ ...options, accountId: accountId, model: modelFullName }]);
+      if (logged.length === 0) {
+        console.log(`ModelMeter Storage Debug: ⏭️ Message ${options.messageId} was already counted, skipping`);
+        return null;
+      }
+      const modelData = await getModelDataFromStorage(accountId);
+      if (!modelData[modelFullName]) {
+        console.log(`ModelMeter Storage Debug: 🆕 Creating new entry for model: ${modelFullName}`);
+        modelData[modelFullName] = { count: 0, lastResetTimestamp: Date.now() };
+      }
+      modelData[modelFullName].count += 1;
+      if (options.autoRouted) {
+        modelData[modelFullName].autoRoutedCount = (modelData[modelFullName].autoRoutedCount || 0) + 1;
+      }
+      const newCount = modelData[modelFullName].count;
+      await writeModelData(modelData, accountId);
+      console.log(`ModelMeter Storage Debug: ✅ Incremented count for ${modelFullName} to ${newCount}`);
+      return newCount;
+    });
+  }
+
+  async function getSchemaVersionFromStorage() {
+    const result = await chrome.storage.local.get(SCHEMA_VERSION_KEY);
+    return Number(result[SCHEMA_VERSION_KEY]) || 0;
+  }
+
+  // Brings the stored data up to the current schema version. Runs inside the write queue, so no
+  // counter update can interleave; keys a migration changes are rewritten, keys it drops are removed.
+  async function runStorageMigrations() {
+    if (!self.StorageMigrations) {
+      throw new Error('Storage migrations are not loaded.');
     }
-    modelData[modelFullName].count += 1;
-    const newCount = modelData[modelFullName].count;
-    await saveModelDataToStorage(modelData);
-    console.log(`ModelMeter Storage Debug: ✅ Incremented count for ${modelFullName} to ${newCount}`);
-    return newCount;
+    return enqueueStorageWrite(async () => {
+      const snapshot = await chrome.storage.local.get(null);
+      const fromVersion = Number(snapshot[SCHEMA_VERSION_KEY]) || 0;
+      const before = JSON.stringify(snapshot);
+      const originalKeys = Object.keys(snapshot);
+      const { version, applied } = self.StorageMigrations.migrateSnapshot(snapshot, fromVersion);
+      snapshot[SCHEMA_VERSION_KEY] = version;
+
+      const removedKeys = originalKeys.filter(key => !(key in snapshot));
+      if (removedKeys.length > 0) {
+        await chrome.storage.local.remove(removedKeys);
+      }
+      if (JSON.stringify(snapshot) !== before) {
+        await chrome.storage.local.set(snapshot);
+      }
+      console.log(`ModelMeter Storage Debug: 🧬 Schema v${fromVersion} -> v${version}, applied ${applied.length} migration(s)`, applied);
+      return { fromVersion, version, applied };
+    });
+  }
+
+  // Everything ModelMeter keeps in chrome.storage.local, read between two queued writes
+  async function getStorageSnapshot() {
+    return enqueueStorageWrite(() => chrome.storage.local.get(null));
+  }
+
+  // Atomically replaces the whole storage contents with transform(currentSnapshot). Keys missing from
+  // the result are removed after the new values are written, so a failed write loses nothing.
+  async function rewriteStorage(transform) {
+    return enqueueStorageWrite(async () => {
+      const current = await chrome.storage.local.get(null);
+      const next = await transform(current);
+      await chrome.storage.local.set(next);
+      const removedKeys = Object.keys(current).filter(key => !(key in next));
+      if (removedKeys.length > 0) {
+        await chrome.storage.local.remove(removedKeys);
+      }
+      console.log(`ModelMeter Storage Debug: ♻️ Rewrote storage (${Object.keys(next).length} keys, ${removedKeys.length} removed)`);
+      return next;
+    });
   }
 
-  async function getModelCountFromStorage(modelFullName) {
+  async function getModelCountFromStorage(modelFullName, accountId) {
     if (!modelFullName) {
       console.warn('ModelMeter Storage Debug: ⚠️ Cannot get count - modelFullName is empty/null');
       return 0;
     }
     console.log(`ModelMeter Storage Debug: 🔍 Getting count for: ${modelFullName}`);
-    const modelData = await getModelDataFromStorage();
+    const modelData = await getModelDataFromStorage(accountId);
     const count = modelData[modelFullName]?.count || 0;
     console.log(`ModelMeter Storage Debug: 📊 Count for ${modelFullName}: ${count}`);
     return count;
   }
 
-  async function resetAllCountersInStorage() {
+  async function resetAllCountersInStorage(accountId) {
     console.log('ModelMeter Storage Debug: 🗑️ Resetting all counters...');
-    const modelData = await getModelDataFromStorage();
-    const now = Date.now();
-    let resetCount = 0;
-    for (const modelKey in modelData) {
-      modelData[modelKey].count = 0;
-      modelData[modelKey].lastResetTimestamp = now;
-      resetCount++;
-    }
-    await saveModelDataToStorage(modelData);
+    const resetCount = await updateModelDataInStorage(modelData => {
+      const now = Date.now();
+      for (const modelKey in modelData) {
+        modelData[modelKey].count = 0;
+        modelData[modelKey].autoRoutedCount = 0;
+        modelData[modelKey].lastResetTimestamp = now;
+      }
+      return Object.keys(modelData).length;
+    }, accountId);
     console.log(`ModelMeter Storage Debug: ✅ All counters reset (${resetCount} models)`);
   }
 
-  async function resetSingleModelCounterInStorage(modelFullName) {
+  async function resetSingleModelCounterInStorage(modelFullName, accountId) {
     if (!modelFullName) {
       console.warn('ModelMeter Storage Debug: ⚠️ Cannot reset - modelFullName is empty/null');
       return false;
     }
     console.log(`ModelMeter Storage Debug: 🗑️ Resetting counter for: ${modelFullName}`);
-    const modelData = await getModelDataFromStorage();
-    if (modelData[modelFullName]) {
+    const found = await updateModelDataInStorage(modelData => {
+      if (!modelData[modelFullName]) return false;
       modelData[modelFullName].count = 0;
+      modelData[modelFullName].autoRoutedCount = 0;
       modelData[modelFullName].lastResetTimestamp = Date.now();
-      await saveModelDataToStorage(modelData);
-      console.log(`ModelMeter Storage Debug: ✅ Counter reset for ${modelFullName}`);
       return true;
+    }, accountId);
+    if (found) {
+      console.log(`ModelMeter Storage Debug: ✅ Counter reset for ${modelFullName}`);
     } else {
       console.warn(`ModelMeter Storage Debug: ⚠️ Model ${modelFullName} not found, nothing to reset`);
-      return false;
     }
+    return found;
   }
 
   // Ensure functions are available if this script is imported via importScripts()
   // No explicit export needed for service worker importScripts() pattern.
 
+  // Storage key of the usage events of the UTC day that contains a timestamp
+  function usageEventsDayKey(timestamp) {
+    return `${USAGE_EVENTS_KEY}:${new Date(timestamp).toISOString().slice(0, 10)}`;
+  }
+
+  function isUsageEventsDayKey(key) {
+    return USAGE_EVENTS_DAY_KEY_PATTERN.test(key);
+  }
+
+  // Day keys from the day of `since` through the day of `until`, oldest first
+  function usageEventsDayKeysBetween(since, until) {
+    const keys = [];
+    for (let dayStart = since - since % DAY_MS; dayStart <= until; dayStart += DAY_MS) {
+      keys.push(usageEventsDayKey(dayStart));
+    }
+    return keys;
+  }
+
+  // Get the usage event log, oldest first. filter: { since, until, model, accountId } (all optional,
+  // timestamps in ms; without accountId the events of every account are returned). Only the days in
+  // range are read, and nothing older than the retention window.
+  async function getUsageEventsFromStorage(filter = {}) {
+    try {
+      const now = Date.now();
+      const since = Math.max(filter.since || 0, now - USAGE_EVENT_RETENTION_MS);
+      const until = filter.until || now;
+      if (since > until) return [];
+      const dayKeys = usageEventsDayKeysBetween(since, until);
+      const data = await chrome.storage.local.get(dayKeys);
+      const events = dayKeys.flatMap(key => data[key] || []);
+      return events.filter(event =>
+        event.timestamp >= since &&
+        event.timestamp <= until &&
+        (!filter.model || event.model === filter.model) &&
+        (!filter.accountId || (event.accountId || DEFAULT_ACCOUNT_ID) === filter.accountId)
+      ).sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get usage events', error);
+      return [];
+    }
+  }
+
+  // Append records to the usage event log. The log is only extended (and relabelled when an account
+  // takes over unidentified usage); missing fields are filled in (timestamp = now, source = 'sse',
+  // accountId = the active account, plan = that account's plan).
+  async function appendUsageEventsToStorage(events) {
+    if (!events || events.length === 0) return true;
+    try {
+      await enqueueStorageWrite(() => writeUsageEvents(events));
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to append usage events', error);
+      return false;
+    }
+  }
+
+  // Unqueued append, only for use inside a queued task. Events whose messageId is already logged for
+  // the same account on their day or the day before are dropped (a message counted twice is reported
+  // within moments); resolves with the records actually appended.
+  async function writeUsageEvents(events) {
+    const activeAccountId = await resolveAccountId();
+    const accountPlans = {};
+    for (const event of events) {
+      const accountId = event.accountId || activeAccountId;
+      if (!(accountId in accountPlans)) accountPlans[accountId] = await getUserPlanFromStorage(accountId);
+    }
+    const records = events.map(event => ({
+      model: event.model,
+      timestamp: event.timestamp || Date.now(),
+      conversationId: event.conversationId || null,
+      messageId: event.messageId || null,
+      source: USAGE_EVENT_SOURCES.includes(event.source) ? event.source : 'sse',
+      plan: event.plan || accountPlans[event.accountId || activeAccountId],
+      autoRouted: !!event.autoRouted,
+      accountId: event.accountId || activeAccountId
+    }));
+    const dayKeys = [...new Set(records.flatMap(record =>
+      [usageEventsDayKey(record.timestamp), usageEventsDayKey(record.timestamp - DAY_MS)]))];
+    const data = await chrome.storage.local.get(dayKeys);
+    const loggedMessageKeys = new Set(dayKeys.flatMap(key => data[key] || [])
+      .filter(event => event.messageId)
+      .map(event => `${event.accountId || DEFAULT_ACCOUNT_ID}|${event.messageId}`));
+    const newRecords = records.filter(record => {
+      if (!record.messageId) return true;
+      const messageKey = `${record.accountId}|${record.messageId}`;
+      if (loggedMessageKeys.has(messageKey)) return false;
+      loggedMessageKeys.add(messageKey);
+      return true;
+    });
+    if (newRecords.length === 0) return newRecords;
+    const changedDays = {};
+    newRecords.forEach(record => {
+      const dayKey = usageEventsDayKey(record.timestamp);
+      changedDays[dayKey] = changedDays[dayKey] || data[dayKey] || [];
+      changedDays[dayKey].push(record);
+    });
+    await chrome.storage.local.set(changedDays);
+    console.log(`ModelMeter Storage Debug: 📝 Logged ${newRecords.length} usage event(s) in ${Object.keys(changedDays).join(', ')}`);
+    return newRecords;
+  }
+
+  // Removes the usage events of days older than the retention window. Resolves with the number of days removed.
+  async function pruneUsageEventsInStorage() {
+    return enqueueStorageWrite(async () => {
+      const cutoffKey = usageEventsDayKey(Date.now() - USAGE_EVENT_RETENTION_MS);
+      const expiredKeys = Object.keys(await chrome.storage.local.get(null))
+        .filter(key => isUsageEventsDayKey(key) && key < cutoffKey);
+      if (expiredKeys.length > 0) {
+        await chrome.storage.local.remove(expiredKeys);
+        console.log(`ModelMeter Storage Debug: 🧹 Pruned usage events of ${expiredKeys.length} day(s) before ${cutoffKey}`);
+      }
+      return expiredKeys.length;
+    });
+  }
+
+  // Get rate-limit hits, oldest first. filter: { since, until, model, accountId } like getUsageEventsFromStorage
+  async function getRateLimitHitsFromStorage(filter = {}) {
+    try {
+      const data = await chrome.storage.local.get(RATE_LIMIT_HITS_KEY);
+      const hits = data[RATE_LIMIT_HITS_KEY] || [];
+      return hits.filter(hit =>
+        (!filter.since || hit.timestamp >= filter.since) &&
+        (!filter.until || hit.timestamp <= filter.until) &&
+        (!filter.model || hit.model === filter.model) &&
+        (!filter.accountId || hit.accountId === filter.accountId)
+      );
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get rate limit hits', error);
+      return [];
+    }
+  }
+
+  // Record a rate-limit banner. hit: { model, kind, resetTime, accountId } (timestamp defaults to now).
+  // The banner stays on the page and is re-checked often, so a hit is not logged again while the latest
+  // one for the same account, model and kind is still in effect. Returns whether it was logged.
+  async function appendRateLimitHitToStorage(hit) {
+    try {
+      return await enqueueStorageWrite(async () => {
+        const record = {
+          model: hit.model,
+          timestamp: hit.timestamp || Date.now(),
+          kind: RATE_LIMIT_HIT_KINDS.includes(hit.kind) ? hit.kind : 'limit',
+          resetTime: hit.resetTime || null,
+          accountId: await resolveAccountId(hit.accountId)
+        };
+        const data = await chrome.storage.local.get(RATE_LIMIT_HITS_KEY);
+        const log = data[RATE_LIMIT_HITS_KEY] || [];
+        const previous = [...log].reverse().find(entry => entry.accountId === record.accountId && entry.model === record.model && entry.kind === record.kind);
+        if (previous && (previous.resetTime
+          ? previous.resetTime > record.timestamp
+          : record.timestamp - previous.timestamp < RATE_LIMIT_HIT_REPEAT_MS)) {
+          return false;
+        }
+        log.push(record);
+        await chrome.storage.local.set({ [RATE_LIMIT_HITS_KEY]: log });
+        console.log(`ModelMeter Storage Debug: 🚧 Logged ${record.kind} banner for ${record.model}`);
+        return true;
+      });
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to log rate limit hit', error);
+      return false;
+    }
+  }
+
   // --- NEW --- Get User Plan from Storage
-  async function getUserPlanFromStorage() {
+  async function getUserPlanFromStorage(accountId) {
     try {
-      const result = await chrome.storage.local.get('userPlan');
-      console.log('ModelMeter Storage Debug: 🔍 Retrieved user plan:', result.userPlan);
-      return result.userPlan || 'FREE';
+      const userPlanKey = accountScopedKey(USER_PLAN_KEY, await resolveAccountId(accountId));
+      const result = await chrome.storage.local.get(userPlanKey);
+      console.log(`ModelMeter Storage Debug: 🔍 Retrieved user plan (${userPlanKey}):`, result[userPlanKey]);
+      return result[userPlanKey] || 'FREE';
     } catch (error) {
       console.error('ModelMeter Storage Error: Failed to get user plan', error);
       return 'FREE';
     }
   }
 
-  // --- NEW --- Save User Plan to Storage
-  async function saveUserPlanToStorage(plan) {
-    if (plan !== 'FREE' && plan !== 'PLUS') {
+  // Get the user plan together with how it was chosen: 'detected' (from the ChatGPT session) or
+  // 'manual' (picked in the panel). Plans saved before detection existed count as detected, so
+  // detection can correct them.
+  async function getUserPlanDetailsFromStorage(accountId) {
+    try {
+      const resolvedAccountId = await resolveAccountId(accountId);
+      const [planKey, sourceKey, detectedKey] = [USER_PLAN_KEY, USER_PLAN_SOURCE_KEY, DETECTED_PLAN_KEY]
+        .map(key => accountScopedKey(key, resolvedAccountId));
+      const result = await chrome.storage.local.get([planKey, sourceKey, detectedKey]);
+      return {
+        plan: result[planKey] || 'FREE',
+        source: result[sourceKey] || 'detected',
+        detectedPlan: result[detectedKey] || null
+      };
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get user plan details', error);
+      return { plan: 'FREE', source: 'detected', detectedPlan: null };
+    }
+  }
+
+  // Save the plan last detected from the ChatGPT session, independently of the plan in use. Queued, so
+  // it can't interleave with a restore or a migration.
+  async function saveDetectedPlanToStorage(plan, accountId) {
+    try {
+      await enqueueStorageWrite(async () => {
+        await chrome.storage.local.set({ [accountScopedKey(DETECTED_PLAN_KEY, await resolveAccountId(accountId))]: plan });
+      });
+      console.log(`ModelMeter Storage Debug: ✅ Saved detected plan: ${plan}`);
+      return true;
+    } catch (error) {
+      console.error(`ModelMeter Storage Error: Failed to save detected plan "${plan}"`, error);
+      return false;
+    }
+  }
+
+  // --- NEW --- Save User Plan to Storage (queued, like the model data writes)
+  async function saveUserPlanToStorage(plan, source = 'manual', accountId) {
+    if (typeof plan !== 'string' || !plan) {
       console.error('ModelMeter Storage Error: Invalid plan value provided:', plan);
       return false;
     }
     try {
-      await chrome.storage.local.set({ userPlan: plan });
-      console.log(`ModelMeter Storage Debug: ✅ Saved user plan: ${plan}`);
+      const saved = await enqueueStorageWrite(async () => {
+        // Accept any plan of the limits registry, including plans added by an imported profile
+        if (self.LimitsRegistry) {
+          const knownPlans = self.LimitsRegistry.getPlanNames(await getLimitProfileFromStorage());
+          if (!knownPlans.includes(plan)) {
+            console.error(`ModelMeter Storage Error: Unknown plan "${plan}". Known plans: ${knownPlans.join(', ')}`);
+            return false;
+          }
+        }
+        const resolvedAccountId = await resolveAccountId(accountId);
+        await chrome.storage.local.set({
+          [accountScopedKey(USER_PLAN_KEY, resolvedAccountId)]: plan,
+          [accountScopedKey(USER_PLAN_SOURCE_KEY, resolvedAccountId)]: source
+        });
+        return true;
+      });
+      if (!saved) return false;
+      console.log(`ModelMeter Storage Debug: ✅ Saved user plan: ${plan} (${source})`);
       return true;
     } catch (error) {
       console.error(`ModelMeter Storage Error: Failed to save user plan "${plan}"`, error);
@@ -128,16 +600,279 @@ console.log('ModelMeter Storage Debug: 📚 Storage utils loaded (using raw mode
     }
   }
 
+  // Get user-defined limit overrides, shaped as { [plan]: { [model]: limitEntry } }
+  async function getLimitOverridesFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(LIMIT_OVERRIDES_KEY);
+      return result[LIMIT_OVERRIDES_KEY] || {};
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get limit overrides', error);
+      return {};
+    }
+  }
+
+  // Save user-defined limit overrides (replaces the whole overrides object)
+  async function saveLimitOverridesToStorage(overrides) {
+    try {
+      await chrome.storage.local.set({ [LIMIT_OVERRIDES_KEY]: overrides || {} });
+      console.log('ModelMeter Storage Debug: ✅ Saved limit overrides:', overrides);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save limit overrides', error);
+      return false;
+    }
+  }
+
+  // Get the usage thresholds, defaults filled in
+  async function getQuotaThresholdsFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(QUOTA_THRESHOLDS_KEY);
+      return { ...DEFAULT_QUOTA_THRESHOLDS, ...(result[QUOTA_THRESHOLDS_KEY] || {}) };
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get quota thresholds', error);
+      return { ...DEFAULT_QUOTA_THRESHOLDS };
+    }
+  }
+
+  // Save the usage thresholds ({ warning, critical }, already validated)
+  async function saveQuotaThresholdsToStorage(thresholds) {
+    try {
+      await chrome.storage.local.set({ [QUOTA_THRESHOLDS_KEY]: { warning: thresholds.warning, critical: thresholds.critical } });
+      console.log('ModelMeter Storage Debug: ✅ Saved quota thresholds:', thresholds);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save quota thresholds', error);
+      return false;
+    }
+  }
+
+  // Get the notification settings, defaults filled in
+  async function getNotificationSettingsFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(NOTIFICATION_SETTINGS_KEY);
+      const stored = result[NOTIFICATION_SETTINGS_KEY] || {};
+      return {
+        ...DEFAULT_NOTIFICATION_SETTINGS,
+        ...stored,
+        quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(stored.quietHours || {}) },
+        models: { ...(stored.models || {}) }
+      };
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get notification settings', error);
+      return { ...DEFAULT_NOTIFICATION_SETTINGS, models: {} };
+    }
+  }
+
+  // Save the notification settings (replaces the whole object, already validated)
+  async function saveNotificationSettingsToStorage(settings) {
+    try {
+      await chrome.storage.local.set({ [NOTIFICATION_SETTINGS_KEY]: settings });
+      console.log('ModelMeter Storage Debug: ✅ Saved notification settings:', settings);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save notification settings', error);
+      return false;
+    }
+  }
+
+  // Get the pre-send guard settings, defaults filled in
+  async function getPreSendGuardFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(PRE_SEND_GUARD_KEY);
+      return { ...DEFAULT_PRE_SEND_GUARD, ...(result[PRE_SEND_GUARD_KEY] || {}) };
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get pre-send guard settings', error);
+      return { ...DEFAULT_PRE_SEND_GUARD };
+    }
+  }
+
+  // Save the pre-send guard settings (already validated)
+  async function savePreSendGuardToStorage(settings) {
+    try {
+      await chrome.storage.local.set({ [PRE_SEND_GUARD_KEY]: settings });
+      console.log('ModelMeter Storage Debug: ✅ Saved pre-send guard settings:', settings);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save pre-send guard settings', error);
+      return false;
+    }
+  }
+
+  // Get the personal budgets, defaults filled in
+  async function getBudgetSettingsFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(BUDGETS_KEY);
+      return { ...DEFAULT_BUDGET_SETTINGS, ...(result[BUDGETS_KEY] || {}) };
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get budgets', error);
+      return { ...DEFAULT_BUDGET_SETTINGS };
+    }
+  }
+
+  // Save the personal budgets (already validated)
+  async function saveBudgetSettingsToStorage(settings) {
+    try {
+      await chrome.storage.local.set({ [BUDGETS_KEY]: settings });
+      console.log('ModelMeter Storage Debug: ✅ Saved budgets:', settings);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save budgets', error);
+      return false;
+    }
+  }
+
+  // Get the fallback preference order (list of model names)
+  async function getFallbackOrderFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(FALLBACK_ORDER_KEY);
+      return Array.isArray(result[FALLBACK_ORDER_KEY]) ? result[FALLBACK_ORDER_KEY] : [...DEFAULT_FALLBACK_ORDER];
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get fallback order', error);
+      return [...DEFAULT_FALLBACK_ORDER];
+    }
+  }
+
+  // Save the fallback preference order (already validated)
+  async function saveFallbackOrderToStorage(order) {
+    try {
+      await chrome.storage.local.set({ [FALLBACK_ORDER_KEY]: order });
+      console.log('ModelMeter Storage Debug: ✅ Saved fallback order:', order);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save fallback order', error);
+      return false;
+    }
+  }
+
+  // Get the dock saved for a window size, or null if the bubble was never moved at that size
+  async function getBubbleDockFromStorage(windowSize) {
+    try {
+      const result = await chrome.storage.local.get(BUBBLE_DOCKS_KEY);
+      return (result[BUBBLE_DOCKS_KEY] || {})[windowSize] || null;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get bubble dock', error);
+      return null;
+    }
+  }
+
+  // Save where the bubble is docked at a window size; several tabs may save at once, so it is queued
+  async function saveBubbleDockToStorage(windowSize, dock) {
+    if (!BUBBLE_DOCK_POSITIONS.includes(dock)) {
+      console.error(`ModelMeter Storage Error: Unknown bubble dock "${dock}"`);
+      return false;
+    }
+    try {
+      await enqueueStorageWrite(async () => {
+        const result = await chrome.storage.local.get(BUBBLE_DOCKS_KEY);
+        const docks = result[BUBBLE_DOCKS_KEY] || {};
+        docks[windowSize] = dock;
+        await chrome.storage.local.set({ [BUBBLE_DOCKS_KEY]: docks });
+      });
+      console.log(`ModelMeter Storage Debug: ✅ Bubble docked ${dock} at ${windowSize}`);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save bubble dock', error);
+      return false;
+    }
+  }
+
+  // Get the imported limit profile (replaces the built-in limit tables), or null if none was imported
+  async function getLimitProfileFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(LIMIT_PROFILE_KEY);
+      return result[LIMIT_PROFILE_KEY] || null;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to get limit profile', error);
+      return null;
+    }
+  }
+
+  // Save an imported limit profile, or remove it when profile is null
+  async function saveLimitProfileToStorage(profile) {
+    try {
+      if (profile) {
+        await chrome.storage.local.set({ [LIMIT_PROFILE_KEY]: profile });
+      } else {
+        await chrome.storage.local.remove(LIMIT_PROFILE_KEY);
+      }
+      console.log('ModelMeter Storage Debug: ✅ Saved limit profile:', profile);
+      return true;
+    } catch (error) {
+      console.error('ModelMeter Storage Error: Failed to save limit profile', error);
+      return false;
+    }
+  }
+
   const utils = {
     MODEL_DATA_KEY,
+    LIMIT_OVERRIDES_KEY,
+    LIMIT_PROFILE_KEY,
+    QUOTA_THRESHOLDS_KEY,
+    DEFAULT_QUOTA_THRESHOLDS,
+    NOTIFICATION_SETTINGS_KEY,
+    NOTIFICATION_KINDS,
+    DEFAULT_NOTIFICATION_SETTINGS,
+    PRE_SEND_GUARD_KEY,
+    DEFAULT_PRE_SEND_GUARD,
+    FALLBACK_ORDER_KEY,
+    DEFAULT_FALLBACK_ORDER,
+    BUDGETS_KEY,
+    BUDGET_PERIODS,
+    DEFAULT_BUDGET_SETTINGS,
+    BUBBLE_DOCKS_KEY,
+    BUBBLE_DOCK_POSITIONS,
+    USAGE_EVENTS_KEY,
+    USAGE_EVENT_SOURCES,
+    usageEventsDayKey,
+    isUsageEventsDayKey,
+    RATE_LIMIT_HITS_KEY,
+    SCHEMA_VERSION_KEY,
+    USER_PLAN_KEY,
+    ACCOUNTS_KEY,
+    ACTIVE_ACCOUNT_KEY,
+    DEFAULT_ACCOUNT_ID,
+    accountScopedKey,
+    isAccountScopedKey,
+    resolveAccountId,
+    getActiveAccountIdFromStorage,
+    getAccountsFromStorage,
+    setActiveAccountInStorage,
     getModelDataFromStorage,
     saveModelDataToStorage,
+    updateModelDataInStorage,
+    getSchemaVersionFromStorage,
+    runStorageMigrations,
+    getStorageSnapshot,
+    rewriteStorage,
     incrementModelCounterInStorage,
     getModelCountFromStorage,
     resetAllCountersInStorage,
     resetSingleModelCounterInStorage,
     getUserPlanFromStorage,
-    saveUserPlanToStorage
+    getUserPlanDetailsFromStorage,
+    saveUserPlanToStorage,
+    saveDetectedPlanToStorage,
+    getLimitOverridesFromStorage,
+    saveLimitOverridesToStorage,
+    getLimitProfileFromStorage,
+    saveLimitProfileToStorage,
+    getQuotaThresholdsFromStorage,
+    saveQuotaThresholdsToStorage,
+    getNotificationSettingsFromStorage,
+    saveNotificationSettingsToStorage,
+    getPreSendGuardFromStorage,
+    savePreSendGuardToStorage,
+    getFallbackOrderFromStorage,
+    saveFallbackOrderToStorage,
+    getBudgetSettingsFromStorage,
+    saveBudgetSettingsToStorage,
+    getBubbleDockFromStorage,
+    saveBubbleDockToStorage,
+    getUsageEventsFromStorage,
+    appendUsageEventsToStorage,
+    pruneUsageEventsInStorage,
+    getRateLimitHitsFromStorage,
+    appendRateLimitHitToStorage
   };
 
   if (typeof self !== 'undefined') {
@@ -6,53 +6,38 @@
   /**
    * Updates model timestamps for models without active banners but with valid future "Until" timestamps.
    * This allows timestamps to roll forward properly even without seeing a rate limit banner.
+   * Works on the given model data in place; the caller persists it (the background does so
+   * inside its storage write queue, so no stale snapshot can overwrite newer counts).
    * 
-   * @returns {Promise<number>} Number of models whose timestamps were updated
+   * @param {Object} modelData - Model data map, modified in place
+   * @param {Object} modelLimits - Effective limits for the current plan
+   * @param {Object} [modelAliases] - Alias map in effect
+   * @returns {number} Number of models whose timestamps were updated
    */
-  async function updateFutureModelTimestamps() {
+  function updateFutureModelTimestamps(modelData, modelLimits, modelAliases) {
     console.log('ModelMeter: Checking for models with future reset times that need timestamp updates...');
     try {
-      // Early check for extension context validity
-      try {
-        await chrome.runtime.sendMessage({ action: 'ping' });
-      } catch (pingError) {
-        console.error('ModelMeter: Extension context check failed, aborting timestamp update:', pingError);
-        return 0;
-      }
-
-      // Get current model data from storage
-      const response = await chrome.runtime.sendMessage({ action: 'getModelData' });
-      if (!response || response.status !== 'success' || !response.data) {
-        console.error('ModelMeter: Failed to get model data for timestamp update check');
-        return 0;
-      }
-
-      // Get current user plan to determine quota periods
-      const planResponse = await chrome.runtime.sendMessage({ action: 'getUserPlan' });
-      const currentPlan = (planResponse && planResponse.status === 'success') ? planResponse.plan : 'FREE';
-      
-      // Define model limits based on user plan
-      const modelLimits = getModelLimits(currentPlan);
-      
-      const modelData = response.data;
       const now = new Date().getTime();
       let updatesPerformed = 0;
 
       // Check each model to see if its "Until" timestamp is in the future
       for (const [modelName, modelInfo] of Object.entries(modelData)) {
-        // Get the reset time from either property
-        const resetTime = modelInfo.nextResetTime || modelInfo.limitResetTime;
+        // Get the "Until" time
+        const resetTime = modelInfo.nextResetTime;
         
         // Only process models with future reset times
         if (resetTime && resetTime > now) {
           // Find the limit object for this model to determine its period
           const modelLowerCase = modelName.toLowerCase();
-          let limitObject = findLimitObjectForModel(modelName, modelLowerCase, modelLimits);
+          let limitObject = findLimitObjectForModel(modelName, modelLowerCase, modelLimits, modelAliases);
           
           if (!limitObject) {
             console.log(`ModelMeter: No quota information found for model ${modelName}, skipping update`);
             continue;
           }
+          if (limitObject.windowType === 'rolling') {
+            continue; // Rolling windows have no "Start" to advance
+          }
           
           // For models with unlimited or none period, we might still update if 'Start' is very old,
           // but their 'Until' won't be period-based.
@@ -103,8 +88,7 @@
             modelData[modelName] = {
               ...modelData[modelName],
               lastResetTimestamp: newSinceTimestamp, // New "Start"
-              nextResetTime: newUntilTimestamp,      // New "Until" calculated from new "Start"
-              limitResetTime: newUntilTimestamp    // Also update limitResetTime for consistency
+              nextResetTime: newUntilTimestamp       // New "Until" calculated from new "Start"
             };
             
             if (newUntilTimestamp) {
@@ -118,39 +102,8 @@
         }
       }
       
-      // If any updates were performed, save the model data
       if (updatesPerformed > 0) {
-        console.log(`ModelMeter: Updated timestamps for ${updatesPerformed} models, saving to storage`);
-        
-        // Save the updated data directly with error handling
-        try {
-          const saveResponse = await chrome.runtime.sendMessage({
-            action: 'saveModelDataDirectly',
-            modelData: modelData
-          });
-          
-          if (saveResponse && saveResponse.status === 'success') {
-            console.log('ModelMeter: Successfully saved updated model timestamps');
-          } else {
-            console.error('ModelMeter: Failed to save updated model timestamps');
-          }
-        } catch (saveError) {
-          console.error('ModelMeter: Error saving updated model timestamps:', saveError);
-          if (saveError.message && saveError.message.includes('Extension context invalidated')) {
-            console.log('ModelMeter: Extension context invalidated during save, skipping UI refresh');
-            return updatesPerformed; // Return what we accomplished before the error
-          }
-        }
-        
-        // Refresh the UI to reflect the changes (with error handling)
-        try {
-          chrome.runtime.sendMessage({ 
-            action: 'countersDisplayShouldRefresh'
-          });
-        } catch (refreshError) {
-          console.error('ModelMeter: Error sending UI refresh message:', refreshError);
-          // Don't throw here, just log the error
-        }
+        console.log(`ModelMeter: Updated timestamps for ${updatesPerformed} models`);
       } else {
         console.log('ModelMeter: No model timestamps needed updating');
       }
@@ -158,9 +111,6 @@
       return updatesPerformed;
     } catch (error) {
       console.error('ModelMeter: Error updating future model timestamps:', error);
-      if (error.message && error.message.includes('Extension context invalidated')) {
-        console.log('ModelMeter: Extension context invalidated during timestamp update');
-      }
       return 0;
     }
   }
@@ -201,79 +151,151 @@
     return date.getTime();
   }
 
+  /**
+   * Calculates the timestamp one period before the given timestamp (inverse of calculateNextTimestampAfterPeriod)
+   * @param {number} timestamp - The base timestamp (milliseconds since epoch)
+   * @param {Object} limitObject - Object containing period information (periodAmount, periodUnit)
+   * @returns {number|null} The calculated past timestamp, or null if the model has no period
+   */
+  function calculatePreviousTimestampBeforePeriod(timestamp, limitObject) {
+    if (!limitObject || !timestamp) return null;
+    if (limitObject.periodUnit === 'unlimited' || limitObject.periodUnit === 'none') return null;
+
+    return calculateNextTimestampAfterPeriod(timestamp, {
+      ...limitObject,
+      periodAmount: -limitObject.periodAmount
+    });
+  }
+
+  /**
+   * Computes how much of a model's quota is in use.
+   * Fixed windows use the stored count since the last reset. Rolling windows count the usage
+   * events of the last period, and report when the oldest of them drops out (the next free slot).
+   * @param {Object} modelInfo - Stored model data (count, lastResetTimestamp, nextResetTime)
+   * @param {Object|null} limitObject - Limit entry for the model
+   * @param {Object[]} modelEvents - Usage events of this model (only used for rolling windows)
+   * @param {number} [now] - Reference time in milliseconds, defaults to the current time
+   * @returns {Object} { windowType, used, limit, remaining, windowStart, resetTime, nextSlotTime }
+   */
+  function calculateQuotaStatus(modelInfo, limitObject, modelEvents, now = Date.now()) {
+    const info = modelInfo || {};
+    const hasPeriod = !!limitObject && limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none';
+    const limit = limitObject && typeof limitObject.count === 'number' ? limitObject.count : null;
+    const windowType = hasPeriod && limitObject.windowType === 'rolling' ? 'rolling' : 'fixed';
+
+    let used = info.count || 0;
+    let windowStart = info.lastResetTimestamp || null;
+    let resetTime = info.nextResetTime ||
+      (hasPeriod ? calculateNextTimestampAfterPeriod(windowStart, limitObject) : null);
+    let nextSlotTime = null;
+
+    if (windowType === 'rolling') {
+      windowStart = calculatePreviousTimestampBeforePeriod(now, limitObject);
+      const timestamps = (modelEvents || [])
+        .map(event => event.timestamp)
+        .filter(timestamp => timestamp > windowStart)
+        .sort((a, b) => a - b);
+      used = timestamps.length;
+      // The oldest message frees its slot one period after it was sent; the window is empty after the newest
+      nextSlotTime = used > 0 ? calculateNextTimestampAfterPeriod(timestamps[0], limitObject) : null;
+      resetTime = used > 0 ? calculateNextTimestampAfterPeriod(timestamps[used - 1], limitObject) : null;
+    }
+
+    return {
+      windowType,
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      windowStart,
+      resetTime,
+      nextSlotTime
+    };
+  }
+
+  // Wording for a budget period: "your weekly budget", "12 of 20 this week"
+  const BUDGET_PERIOD_LABELS = {
+    day: { adjective: 'daily', current: 'today' },
+    week: { adjective: 'weekly', current: 'this week' },
+    month: { adjective: 'monthly', current: 'this month' }
+  };
+
+  /**
+   * Start of the calendar day, week (Monday) or month that contains a timestamp, in local time.
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {number} timestamp - Any time within the period
+   * @returns {number} Start of the period
+   */
+  function getCalendarPeriodStart(period, timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'week') {
+      date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    } else if (period === 'month') {
+      date.setDate(1);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * Progress of a personal budget in its current calendar period.
+   * @param {Object} budget - { count, period } as saved on the options page
+   * @param {Array} modelEvents - Usage events of the budget's model (at least those of the current period)
+   * @param {number} [now] - Current time
+   * @returns {Object} { period, limit, used, remaining, windowStart, resetTime }, shaped like calculateQuotaStatus
+   */
+  function calculateBudgetStatus(budget, modelEvents, now = Date.now()) {
+    const windowStart = getCalendarPeriodStart(budget.period, now);
+    const nextStart = new Date(windowStart);
+    if (budget.period === 'day') nextStart.setDate(nextStart.getDate() + 1);
+    if (budget.period === 'week') nextStart.setDate(nextStart.getDate() + 7);
+    if (budget.period === 'month') nextStart.setMonth(nextStart.getMonth() + 1);
+    const used = (modelEvents || []).filter(event => event.timestamp >= windowStart && event.timestamp <= now).length;
+    return {
+      period: budget.period,
+      limit: budget.count,
+      used,
+      remaining: Math.max(0, budget.count - used),
+      windowStart,
+      resetTime: nextStart.getTime()
+    };
+  }
+
+  /**
+   * How close a model is to its limit, for coloring the bubble and alerts.
+   * @param {Object|null} quota - Result of calculateQuotaStatus
+   * @param {Object} thresholds - { warning, critical } in percent of the limit
+   * @returns {string} 'unknown' (no limit), 'ok', 'warning', 'critical' or 'exhausted'
+   */
+  function getQuotaLevel(quota, thresholds) {
+    if (!quota || quota.limit === null || quota.limit === undefined) return 'unknown';
+    if (quota.remaining === 0) return 'exhausted';
+    const percentUsed = quota.limit > 0 ? (quota.used / quota.limit) * 100 : 100;
+    if (percentUsed >= thresholds.critical) return 'critical';
+    if (percentUsed >= thresholds.warning) return 'warning';
+    return 'ok';
+  }
+
   /**
    * Finds the appropriate limit object for a model based on name
    * @param {string} modelName - The original model name
-   * @param {string} modelLowerCase - Lowercase version of the model name
+   * @param {string} modelLowerCase - Lowercase version of the model name (kept for backwards compatibility)
    * @param {Object} modelLimits - Object containing all model limits
+   * @param {Object} [modelAliases] - Alias map in effect (defaults to the registry's built-in aliases)
    * @returns {Object|null} The limit object or null if not found
    */
-  function findLimitObjectForModel(modelName, modelLowerCase, modelLimits) {
-    // Try to find by model name
-    if (modelLimits[modelName]) {
-      return modelLimits[modelName];
-    } else if (modelLimits[modelLowerCase]) {
-      return modelLimits[modelLowerCase];
-    } else {
-      // Try to find by partial match
-      const matchingKey = Object.keys(modelLimits).find(key => 
-        modelLowerCase.includes(key.toLowerCase()) || key.toLowerCase().includes(modelLowerCase)
-      );
-      if (matchingKey) {
-        return modelLimits[matchingKey];
-      }
-    }
-    return null;
+  function findLimitObjectForModel(modelName, modelLowerCase, modelLimits, modelAliases) {
+    return self.LimitsRegistry.findLimitForModel(modelName, modelLimits, modelAliases || undefined);
   }
 
   /**
-   * Returns the model limits based on the current user plan
+   * Returns the model limits based on the current user plan, as defined in the limits registry
    * @param {string} currentPlan - The user's current plan ('FREE' or 'PLUS')
+   * @param {Object} [limitOverrides] - User overrides from storage, applied on top of the registry
+   * @param {Object} [limitProfile] - Imported limit profile, replacing the built-in tables
    * @returns {Object} Model limits definition object
    */
-  function getModelLimits(currentPlan) {
-    // Default to FREE limits
-    const isPlus = currentPlan === 'PLUS';
-  
-    return {
-      'gpt-4': {
-        limit: isPlus ? 100 : 40,
-        periodAmount: 1,
-        periodUnit: 'day'
-      },
-      'gpt-4o': {
-        limit: isPlus ? 100 : 25,
-        periodAmount: 3,
-        periodUnit: 'hour'
-      },
-      'gpt-3.5-turbo': {
-        limit: isPlus ? 0 : 0,  // Unlimited for both plans
-        periodUnit: 'unlimited'
-      },
-      'o4-mini': {
-        limit: isPlus ? 0 : 0,  // Unlimited for now (experimental)
-        periodUnit: 'unlimited'
-      },
-      'o4': { // Shorthand for gpt-4o
-        limit: isPlus ? 100 : 25,
-        periodAmount: 3,
-        periodUnit: 'hour'
-      },
-      'g4': { // Shorthand for gpt-4
-        limit: isPlus ? 100 : 40,
-        periodAmount: 1,
-        periodUnit: 'day'
-      },
-      'g4t': { // Assumed shorthand for gpt-4-turbo
-        limit: isPlus ? 100 : 40,
-        periodAmount: 1,
-        periodUnit: 'day'
-      },
-      'g35t': { // Shorthand for gpt-3.5-turbo
-        limit: isPlus ? 0 : 0,
-        periodUnit: 'unlimited'
-      }
-    };
+  function getModelLimits(currentPlan, limitOverrides, limitProfile) {
+    return self.LimitsRegistry.getPlanLimits(currentPlan, limitOverrides, limitProfile);
   }
 
   /**
@@ -371,6 +393,12 @@
   const utils = {
     updateFutureModelTimestamps,
     calculateNextTimestampAfterPeriod,
+    calculatePreviousTimestampBeforePeriod,
+    calculateQuotaStatus,
+    getQuotaLevel,
+    BUDGET_PERIOD_LABELS,
+    getCalendarPeriodStart,
+    calculateBudgetStatus,
     findLimitObjectForModel,
     getModelLimits,
     parseWarningTimestamps
@@ -0,0 +1,289 @@
+// ModelMeter - usage_charts.js
+// Small SVG charts of the usage history (messages per day, messages per weekday and hour), drawn
+// without any charting library. Loaded by the popup and the dashboard; the data comes from the
+// background's getUsageEvents and getRateLimitHits actions.
+
+(function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Colors handed out to models in order of their share of the messages
+  const MODEL_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#20c997', '#e83e8c', '#17a2b8', '#6c757d', '#ffc107', '#343a40'];
+  const HIT_COLORS = { limit: '#dc3545', warning: '#f0ad4e' };
+
+  // Drawing area of the daily chart, in viewBox units
+  const CHART_WIDTH = 300;
+  const CHART_HEIGHT = 150;
+  const PLOT_TOP = 16; // room for the rate-limit markers
+  const PLOT_BOTTOM = 132;
+  const PLOT_LEFT = 24;
+  const PLOT_RIGHT = 296;
+
+  // Heatmap grid: one row per weekday (Monday first), one column per hour
+  const HEATMAP_DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const HEATMAP_LEFT = 24;
+  const HEATMAP_TOP = 12;
+  const HEATMAP_CELL = 11;
+  const HEATMAP_COLOR = '#007bff';
+
+  function startOfLocalDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  function formatDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  function svgElement(tag, attributes, parent) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes || {})) {
+      element.setAttribute(name, value);
+    }
+    if (parent) parent.appendChild(element);
+    return element;
+  }
+
+  // Hover text for an SVG shape
+  function addTooltip(element, text) {
+    svgElement('title', {}, element).textContent = text;
+  }
+
+  /**
+   * Counts messages per model for each local day of the last `days` days, today included.
+   *
+   * @param {Array} events - Usage events ({ model, timestamp })
+   * @param {number} days - Number of days to cover
+   * @param {number} [now] - Reference time, defaults to the current time
+   * @returns {{days: Array<{start: number, counts: Object, total: number}>, models: string[]}}
+   *   Days oldest first; models ordered by message count, busiest first
+   */
+  function aggregateDailyUsage(events, days, now) {
+    const today = new Date(startOfLocalDay(now || Date.now()));
+    const buckets = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      // Step by calendar date so days stay aligned across DST changes
+      const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime();
+      buckets.push({ start, counts: {}, total: 0 });
+    }
+    const indexByStart = new Map(buckets.map((bucket, index) => [bucket.start, index]));
+
+    const totals = {};
+    events.forEach(event => {
+      const index = indexByStart.get(startOfLocalDay(event.timestamp));
+      if (index === undefined) return;
+      const bucket = buckets[index];
+      bucket.counts[event.model] = (bucket.counts[event.model] || 0) + 1;
+      bucket.total++;
+      totals[event.model] = (totals[event.model] || 0) + 1;
+    });
+
+    const models = Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+    return { days: buckets, models };
+  }
+
+  /**
+   * Draws messages per day as bars stacked by model, with a marker above the day of every
+   * rate-limit banner (red for limits, amber for warnings) and a legend below the chart.
+   *
+   * @param {HTMLElement} container - Element whose contents are replaced by the chart
+   * @param {Object} data - { events, hits, days (default 30), now }
+   */
+  function renderDailyStackedChart(container, data) {
+    const dayCount = data.days || 30;
+    const hits = data.hits || [];
+    const { days, models } = aggregateDailyUsage(data.events || [], dayCount, data.now);
+    const firstDay = days[0].start;
+    const hitsInRange = hits.filter(hit => hit.timestamp >= firstDay);
+
+    container.textContent = '';
+    if (models.length === 0 && hitsInRange.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'no-data';
+      empty.textContent = `No messages in the last ${dayCount} days.`;
+      container.appendChild(empty);
+      return;
+    }
+
+    const colors = {};
+    models.forEach((model, index) => {
+      colors[model] = MODEL_COLORS[index % MODEL_COLORS.length];
+    });
+
+    const svg = svgElement('svg', {
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      width: '100%',
+      role: 'img',
+      'aria-label': `Messages per day for the last ${dayCount} days`
+    }, container);
+
+    const maxTotal = Math.max(1, ...days.map(day => day.total));
+    const plotHeight = PLOT_BOTTOM - PLOT_TOP;
+    const slotWidth = (PLOT_RIGHT - PLOT_LEFT) / days.length;
+    const barWidth = Math.max(1, slotWidth - 2);
+
+    // Axes and the scale
+    svgElement('line', { x1: PLOT_LEFT, y1: PLOT_BOTTOM, x2: PLOT_RIGHT, y2: PLOT_BOTTOM, stroke: '#ccc' }, svg);
+    svgElement('line', { x1: PLOT_LEFT, y1: PLOT_TOP, x2: PLOT_RIGHT, y2: PLOT_TOP, stroke: '#f2f2f2' }, svg);
+    const axisStyle = { 'font-size': 8, fill: '#666', 'font-family': 'Arial, sans-serif' };
+    svgElement('text', { ...axisStyle, x: PLOT_LEFT - 3, y: PLOT_TOP + 3, 'text-anchor': 'end' }, svg).textContent = String(maxTotal);
+    svgElement('text', { ...axisStyle, x: PLOT_LEFT - 3, y: PLOT_BOTTOM, 'text-anchor': 'end' }, svg).textContent = '0';
+    [0, Math.floor(days.length / 2), days.length - 1].forEach(index => {
+      const anchor = index === 0 ? 'start' : (index === days.length - 1 ? 'end' : 'middle');
+      const x = index === 0 ? PLOT_LEFT : (index === days.length - 1 ? PLOT_RIGHT : PLOT_LEFT + slotWidth * (index + 0.5));
+      svgElement('text', { ...axisStyle, x, y: CHART_HEIGHT - 6, 'text-anchor': anchor }, svg).textContent = formatDay(days[index].start);
+    });
+
+    // One stacked bar per day, busiest model at the bottom
+    days.forEach((day, index) => {
+      if (day.total === 0) return;
+      const x = PLOT_LEFT + slotWidth * index + (slotWidth - barWidth) / 2;
+      const group = svgElement('g', {}, svg);
+      addTooltip(group, [`${formatDay(day.start)}: ${day.total} message${day.total === 1 ? '' : 's'}`]
+        .concat(models.filter(model => day.counts[model]).map(model => `${model}: ${day.counts[model]}`))
+        .join('\n'));
+      let y = PLOT_BOTTOM;
+      models.forEach(model => {
+        const count = day.counts[model];
+        if (!count) return;
+        const height = (count / maxTotal) * plotHeight;
+        y -= height;
+        svgElement('rect', { x, y, width: barWidth, height, fill: colors[model] }, group);
+      });
+    });
+
+    // Rate-limit markers: a small triangle per banner; a second one on the same day sits above the
+    // first, any further ones overlap it (each keeps its own tooltip)
+    const markersPerDay = new Map();
+    hitsInRange.forEach(hit => {
+      const index = days.findIndex((day, i) => hit.timestamp >= day.start && (i === days.length - 1 || hit.timestamp < days[i + 1].start));
+      if (index === -1) return;
+      const stackIndex = markersPerDay.get(index) || 0;
+      markersPerDay.set(index, stackIndex + 1);
+      const cx = PLOT_LEFT + slotWidth * (index + 0.5);
+      const tipY = PLOT_TOP - 2 - Math.min(stackIndex, 1) * 6;
+      const marker = svgElement('polygon', {
+        points: `${cx - 3},${tipY - 5} ${cx + 3},${tipY - 5} ${cx},${tipY}`,
+        fill: HIT_COLORS[hit.kind] || HIT_COLORS.limit
+      }, svg);
+      const resetText = hit.resetTime ? `, resets ${new Date(hit.resetTime).toLocaleString()}` : '';
+      addTooltip(marker, `${hit.kind === 'warning' ? 'Limit warning' : 'Rate limit hit'}: ${hit.model}, ${new Date(hit.timestamp).toLocaleString()}${resetText}`);
+    });
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    models.forEach(model => {
+      legend.appendChild(createLegendItem(colors[model], model));
+    });
+    const limitHitCount = hitsInRange.filter(hit => hit.kind !== 'warning').length;
+    const warningCount = hitsInRange.length - limitHitCount;
+    if (limitHitCount > 0) legend.appendChild(createLegendItem(HIT_COLORS.limit, `Rate limit hit (${limitHitCount})`));
+    if (warningCount > 0) legend.appendChild(createLegendItem(HIT_COLORS.warning, `Limit warning (${warningCount})`));
+    container.appendChild(legend);
+  }
+
+  /**
+   * Counts messages per local weekday and hour.
+   *
+   * @param {Array} events - Usage events ({ model, timestamp })
+   * @param {string} [model] - Only count this model; all models when omitted
+   * @returns {{grid: number[][], max: number, total: number}} grid[weekday][hour], weekday 0 = Monday
+   */
+  function aggregateHourlyUsage(events, model) {
+    const grid = HEATMAP_DAY_NAMES.map(() => new Array(24).fill(0));
+    let max = 0;
+    let total = 0;
+    events.forEach(event => {
+      if (model && event.model !== model) return;
+      const date = new Date(event.timestamp);
+      const weekday = (date.getDay() + 6) % 7;
+      const count = ++grid[weekday][date.getHours()];
+      if (count > max) max = count;
+      total++;
+    });
+    return { grid, max, total };
+  }
+
+  /**
+   * Draws a 7 x 24 heatmap of when messages were sent, darker cells for busier hours.
+   *
+   * @param {HTMLElement} container - Element whose contents are replaced by the heatmap
+   * @param {Object} data - { events, model (optional filter) }
+   */
+  function renderHourlyHeatmap(container, data) {
+    const { grid, max, total } = aggregateHourlyUsage(data.events || [], data.model);
+
+    container.textContent = '';
+    if (total === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'no-data';
+      empty.textContent = data.model ? `No ${data.model} messages in this period.` : 'No messages in this period.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const width = HEATMAP_LEFT + 24 * HEATMAP_CELL + 2;
+    const height = HEATMAP_TOP + HEATMAP_DAY_NAMES.length * HEATMAP_CELL + 2;
+    const svg = svgElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      width: '100%',
+      role: 'img',
+      'aria-label': 'Messages by weekday and hour'
+    }, container);
+
+    const axisStyle = { 'font-size': 8, fill: '#666', 'font-family': 'Arial, sans-serif' };
+    [0, 6, 12, 18].forEach(hour => {
+      svgElement('text', { ...axisStyle, x: HEATMAP_LEFT + hour * HEATMAP_CELL, y: HEATMAP_TOP - 3 }, svg).textContent = `${hour}h`;
+    });
+
+    HEATMAP_DAY_NAMES.forEach((dayName, weekday) => {
+      const y = HEATMAP_TOP + weekday * HEATMAP_CELL;
+      svgElement('text', { ...axisStyle, x: HEATMAP_LEFT - 3, y: y + HEATMAP_CELL - 3, 'text-anchor': 'end' }, svg).textContent = dayName;
+      grid[weekday].forEach((count, hour) => {
+        const cell = svgElement('rect', {
+          x: HEATMAP_LEFT + hour * HEATMAP_CELL,
+          y,
+          width: HEATMAP_CELL - 1,
+          height: HEATMAP_CELL - 1,
+          rx: 1.5,
+          fill: count ? HEATMAP_COLOR : '#f2f2f2',
+          'fill-opacity': count ? (0.15 + 0.85 * count / max).toFixed(2) : 1
+        }, svg);
+        addTooltip(cell, `${dayName} ${String(hour).padStart(2, '0')}:00–${String((hour + 1) % 24).padStart(2, '0')}:00: ${count} message${count === 1 ? '' : 's'}`);
+      });
+    });
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    legend.appendChild(createLegendItem(HEATMAP_COLOR, `Busiest hour: ${max} message${max === 1 ? '' : 's'} (${total} in total)`));
+    container.appendChild(legend);
+  }
+
+  function createLegendItem(color, label) {
+    const item = document.createElement('span');
+    item.className = 'chart-legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'chart-swatch';
+    swatch.style.backgroundColor = color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(label));
+    return item;
+  }
+
+  const usageCharts = {
+    aggregateDailyUsage,
+    renderDailyStackedChart,
+    aggregateHourlyUsage,
+    renderHourlyHeatmap
+  };
+
+  if (typeof self !== 'undefined') {
+    self.UsageCharts = usageCharts;
+  } else if (typeof window !== 'undefined') {
+    window.UsageCharts = usageCharts;
+  } else if (typeof global !== 'undefined') {
+    global.UsageCharts = usageCharts;
+  }
+})();
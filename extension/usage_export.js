@@ -0,0 +1,162 @@
+// ModelMeter - usage_export.js
+// Turns the usage event log into downloadable reports: one CSV row per counted message, one CSV row
+// per quota window, or a JSON document with both. Loaded by the background service worker after
+// timestamp_utils.js, whose period arithmetic it uses to rebuild past fixed windows.
+
+(function() {
+  'use strict';
+
+  const USAGE_EXPORT_FORMAT = 'modelmeter-usage';
+  const USAGE_EXPORT_VERSION = 1;
+  const EXPORT_KINDS = ['csv-events', 'csv-windows', 'json'];
+
+  const EVENT_COLUMNS = ['time', 'timestamp', 'account', 'model', 'plan', 'source', 'auto_routed', 'conversation_id', 'message_id'];
+  const WINDOW_COLUMNS = ['account', 'model', 'window', 'start', 'end', 'messages', 'plans'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Quotes a CSV field when needed (RFC 4180)
+  function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(columns, rows) {
+    return [columns, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function toIso(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+  }
+
+  function startOfLocalDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  /**
+   * Groups events into quota windows. Fixed-window models are split along their reset grid, walking
+   * back from the current window (modelData 'Since'/'Until'); rolling-window, unlimited and unknown
+   * models have no grid and are totalled per local day instead.
+   *
+   * @param {Array} events - Usage events of one account
+   * @param {Object} modelData - That account's model data (current window per model)
+   * @param {Function} findLimit - (modelName) => limit object or null
+   * @returns {Array} Windows { model, window: 'fixed'|'day', start, end, messages, plans }, oldest first
+   */
+  function buildUsageWindows(events, modelData, findLimit) {
+    const { calculateNextTimestampAfterPeriod, calculatePreviousTimestampBeforePeriod } = self.ModelMeterUtils;
+    const windows = new Map();
+
+    const eventsByModel = {};
+    events.forEach(event => {
+      (eventsByModel[event.model] = eventsByModel[event.model] || []).push(event);
+    });
+
+    for (const [model, modelEvents] of Object.entries(eventsByModel)) {
+      const limitObject = findLimit(model);
+      const info = modelData[model] || {};
+      const hasGrid = !!limitObject && limitObject.windowType !== 'rolling' &&
+        limitObject.periodUnit !== 'unlimited' && limitObject.periodUnit !== 'none' && !!info.lastResetTimestamp;
+
+      // Newest first, so fixed windows can be stepped back one period at a time
+      const sorted = [...modelEvents].sort((a, b) => b.timestamp - a.timestamp);
+      let windowStart = hasGrid ? info.lastResetTimestamp : null;
+      let windowEnd = hasGrid ? (info.nextResetTime || calculateNextTimestampAfterPeriod(windowStart, limitObject)) : null;
+
+      for (const event of sorted) {
+        let kind = 'day';
+        let start;
+        let end;
+        if (hasGrid && windowStart) {
+          while (windowStart && event.timestamp < windowStart) {
+            windowEnd = windowStart;
+            windowStart = calculatePreviousTimestampBeforePeriod(windowStart, limitObject);
+          }
+        }
+        if (hasGrid && windowStart && event.timestamp < (windowEnd || Infinity)) {
+          kind = 'fixed';
+          start = windowStart;
+          end = windowEnd;
+        } else {
+          start = startOfLocalDay(event.timestamp);
+          end = start + DAY_MS;
+        }
+
+        const key = `${model}|${kind}|${start}`;
+        if (!windows.has(key)) {
+          windows.set(key, { model, window: kind, start, end, messages: 0, plans: [] });
+        }
+        const entry = windows.get(key);
+        entry.messages++;
+        if (event.plan && !entry.plans.includes(event.plan)) entry.plans.push(event.plan);
+      }
+    }
+
+    return [...windows.values()].sort((a, b) => a.start - b.start || a.model.localeCompare(b.model));
+  }
+
+  /**
+   * Builds the export file.
+   *
+   * @param {string} kind - 'csv-events', 'csv-windows' or 'json'
+   * @param {Object} data - { account: { id, label }, since, until, events, windows }
+   * @returns {{filename: string, mimeType: string, content: string}}
+   */
+  function buildUsageExport(kind, data) {
+    if (!EXPORT_KINDS.includes(kind)) {
+      throw new Error(`Unknown export kind "${kind}". Use one of: ${EXPORT_KINDS.join(', ')}.`);
+    }
+    const { account, since, until, events, windows } = data;
+    const accountLabel = account.label || account.id;
+    const rangeText = `${toIso(since).slice(0, 10) || 'start'}_${toIso(until).slice(0, 10) || 'now'}`;
+    const filenameBase = `modelmeter-usage-${rangeText}`;
+
+    if (kind === 'csv-events') {
+      const rows = events.map(event => [
+        toIso(event.timestamp), event.timestamp, accountLabel, event.model, event.plan, event.source,
+        event.autoRouted ? 'yes' : 'no', event.conversationId, event.messageId
+      ]);
+      return { filename: `${filenameBase}-messages.csv`, mimeType: 'text/csv', content: toCsv(EVENT_COLUMNS, rows) };
+    }
+
+    if (kind === 'csv-windows') {
+      const rows = windows.map(entry => [
+        accountLabel, entry.model, entry.window, toIso(entry.start), toIso(entry.end), entry.messages, entry.plans.join(' ')
+      ]);
+      return { filename: `${filenameBase}-windows.csv`, mimeType: 'text/csv', content: toCsv(WINDOW_COLUMNS, rows) };
+    }
+
+    const totals = {};
+    events.forEach(event => {
+      totals[event.model] = (totals[event.model] || 0) + 1;
+    });
+    const report = {
+      format: USAGE_EXPORT_FORMAT,
+      version: USAGE_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      account: { id: account.id, label: accountLabel },
+      range: { since: toIso(since) || null, until: toIso(until) || null },
+      totals: totals,
+      windows: windows.map(entry => ({ ...entry, start: toIso(entry.start), end: toIso(entry.end) })),
+      events: events.map(event => ({ ...event, time: toIso(event.timestamp) }))
+    };
+    return { filename: `${filenameBase}.json`, mimeType: 'application/json', content: JSON.stringify(report, null, 2) };
+  }
+
+  const usageExport = {
+    EXPORT_KINDS,
+    buildUsageWindows,
+    buildUsageExport
+  };
+
+  if (typeof self !== 'undefined') {
+    self.UsageExport = usageExport;
+  } else if (typeof window !== 'undefined') {
+    window.UsageExport = usageExport;
+  } else if (typeof global !== 'undefined') {
+    global.UsageExport = usageExport;
+  }
+})();